@@ -0,0 +1,29 @@
+import { createElement } from '@lwc/engine-dom';
+import ProductCartAction from 'c/productCartAction';
+
+describe('c-product-cart-action', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('opens the cart in compact mode and closes the action once it is saved', () => {
+        const element = createElement('c-product-cart-action', {
+            is: ProductCartAction
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        const closeHandler = jest.fn();
+        element.addEventListener('lightning__actionsclosescreen', closeHandler);
+
+        const cart = element.shadowRoot.querySelector('c-product-cart-service');
+        expect(cart.recordId).toBe('801000000000001AAA');
+        expect(cart.layout).toBe('Compact');
+
+        cart.dispatchEvent(new CustomEvent('cartsaved'));
+        expect(closeHandler).toHaveBeenCalled();
+    });
+});
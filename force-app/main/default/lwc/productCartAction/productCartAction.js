@@ -0,0 +1,11 @@
+import { LightningElement, api } from 'lwc';
+import { CloseActionScreenEvent } from 'lightning/actions';
+
+/* Add Products screen action: the product cart in its compact layout, closed once the save summary is done */
+export default class ProductCartAction extends LightningElement {
+    @api recordId;
+
+    handleCartSaved() {
+        this.dispatchEvent(new CloseActionScreenEvent());
+    }
+}
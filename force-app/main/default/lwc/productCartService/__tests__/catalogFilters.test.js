@@ -0,0 +1,61 @@
+import { emptyFilters, filterChips, fromUrlState, hasFilters, toUrlState, withoutCatalogState } from '../catalogFilters';
+
+describe('catalogFilters', () => {
+    const filters = {
+        searchTerm: 'bolt',
+        families: ['Raw Material', 'Nuts, Bolts'],
+        minPrice: 5,
+        maxPrice: null,
+        facets: { Brand__c: ['Acme'], Material__c: [] }
+    };
+
+    it('round-trips filters, sort and page through the URL state', () => {
+        const state = toUrlState(filters, 'price-low', 3, '01uCURSOR');
+        expect(state).toEqual({
+            c__search: 'bolt',
+            c__families: 'Raw%20Material,Nuts%2C%20Bolts',
+            c__minPrice: '5',
+            c__facet_Brand__c: 'Acme',
+            c__sort: 'price-low',
+            c__page: '3',
+            c__cursor: '01uCURSOR'
+        });
+        expect(fromUrlState(state)).toEqual({
+            filters: { ...filters, facets: { Brand__c: ['Acme'] } },
+            sortOption: 'price-low',
+            page: 3,
+            pageCursor: '01uCURSOR'
+        });
+        expect(toUrlState(emptyFilters(), 'default', 1, null)).toEqual({});
+        expect(fromUrlState({ c__minPrice: 'abc', c__page: '-2' })).toEqual({
+            filters: emptyFilters(),
+            sortOption: 'default',
+            page: 1,
+            pageCursor: null
+        });
+        // A page number without its cursor cannot be read, so the first page is shown
+        expect(fromUrlState({ c__page: '4' }).page).toBe(1);
+        // A malformed escape drops the whole state rather than breaking the page
+        expect(fromUrlState({ c__families: 'Raw%E0%A4%A', c__sort: 'price-low' })).toEqual({
+            filters: emptyFilters(),
+            sortOption: 'default',
+            page: 1,
+            pageCursor: null
+        });
+    });
+
+    it('keeps page state owned by others and detects active filters', () => {
+        expect(withoutCatalogState({ tab: 'related', c__search: 'bolt', c__facet_Brand__c: 'Acme' }))
+            .toEqual({ tab: 'related' });
+        expect(hasFilters(emptyFilters())).toBe(false);
+        expect(hasFilters({ ...emptyFilters(), facets: { Brand__c: ['Acme'] } })).toBe(true);
+    });
+
+    it('lists one removable chip per filter value', () => {
+        const chips = filterChips(filters, { Brand__c: 'Brand' }, value => `$${value}`);
+        expect(chips.map(c => c.label)).toEqual([
+            '"bolt"', 'Raw Material', 'Nuts, Bolts', 'From $5', 'Brand: Acme'
+        ]);
+        expect(filterChips({ ...emptyFilters(), minPrice: 1, maxPrice: 9 }, {}, String)[0].label).toBe('1 – 9');
+    });
+});
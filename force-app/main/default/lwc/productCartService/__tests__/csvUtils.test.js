@@ -0,0 +1,42 @@
+import { parseQuantityList, toCsv } from '../csvUtils';
+
+describe('csvUtils.parseQuantityList', () => {
+    it('skips a header row and reads comma, semicolon and tab separated rows', () => {
+        const result = parseQuantityList('productCode,qty\nHB-10,5\r\nSB-100;2\nWX-1\t7');
+
+        expect(result.rows).toEqual([
+            { code: 'HB-10', qty: 5, lineNumber: 2 },
+            { code: 'SB-100', qty: 2, lineNumber: 3 },
+            { code: 'WX-1', qty: 7, lineNumber: 4 }
+        ]);
+        expect(result.invalid).toEqual([]);
+    });
+
+    it('merges duplicate codes and reports invalid quantities', () => {
+        const result = parseQuantityList('"HB-10",5\nhb-10,3\nSB-100,0\nSB-200,abc\n\nSB-300');
+
+        expect(result.rows).toEqual([{ code: 'HB-10', qty: 8, lineNumber: 1 }]);
+        expect(result.duplicates).toEqual(['hb-10']);
+        expect(result.invalid.map(r => r.lineNumber)).toEqual([3, 4, 6]);
+    });
+});
+
+describe('csvUtils.toCsv', () => {
+    it('quotes cells with separators and keeps text cells from running as formulas', () => {
+        const csv = toCsv(
+            ['Product Code', 'Product Name', 'Total'],
+            [
+                ['HB-10', 'Bolt, "hex"', 12.5],
+                ['=HYPERLINK("x")', '+1 pack', -5],
+                ['-SB', '@sum', null]
+            ]
+        );
+
+        expect(csv.split('\r\n')).toEqual([
+            'Product Code,Product Name,Total',
+            'HB-10,"Bolt, ""hex""",12.5',
+            `"'=HYPERLINK(""x"")",'+1 pack,-5`,
+            `'-SB,'@sum,`
+        ]);
+    });
+});
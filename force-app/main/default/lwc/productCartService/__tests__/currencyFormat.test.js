@@ -0,0 +1,15 @@
+import { formatMoney } from '../currencyFormat';
+
+describe('currencyFormat', () => {
+    it('formats amounts for the currency in the user locale', () => {
+        expect(formatMoney(1234.5, 'USD')).toBe('$1,234.50');
+        expect(formatMoney(7, 'EUR')).toBe('€7.00');
+        expect(formatMoney(0, 'INR')).toBe('₹0.00');
+    });
+
+    it('leaves missing amounts blank and formats plain numbers without a currency', () => {
+        expect(formatMoney(null, 'USD')).toBe('');
+        expect(formatMoney(undefined, 'USD')).toBe('');
+        expect(formatMoney(12.345)).toBe('12.35');
+    });
+});
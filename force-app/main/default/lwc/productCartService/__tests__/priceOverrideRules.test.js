@@ -0,0 +1,30 @@
+import { checkPriceOverride, hasPriceOverride, isWithinBounds, priceBounds } from '../priceOverrideRules';
+
+describe('priceOverrideRules', () => {
+    const settings = { priceOverrideFloorPercent: 80, priceOverrideCeilingPercent: 150 };
+
+    it('derives the allowed range from the list price and leaves missing bounds open', () => {
+        expect(priceBounds(12.5, settings)).toEqual({ floor: 10, ceiling: 18.75 });
+        expect(priceBounds(12.5, { priceOverrideFloorPercent: 80 })).toEqual({ floor: 10, ceiling: null });
+        expect(priceBounds(null, settings)).toEqual({ floor: null, ceiling: null });
+        expect(hasPriceOverride({ overridePrice: 0 })).toBe(true);
+        expect(hasPriceOverride({ overridePrice: null })).toBe(false);
+    });
+
+    it('requires a price within the bounds and a reason', () => {
+        const bounds = priceBounds(10, settings);
+        expect(checkPriceOverride(9, 'Loyalty', bounds)).toBeNull();
+        expect(checkPriceOverride(7.99, 'Loyalty', bounds, v => `$${v.toFixed(2)}`))
+            .toBe('Unit price cannot be below $8.00');
+        expect(checkPriceOverride(15.01, 'Loyalty', bounds)).toBe('Unit price cannot be above 15');
+        expect(checkPriceOverride(-1, 'Loyalty', bounds)).toBe('Enter a unit price of 0 or more');
+        expect(checkPriceOverride(9, '  ', bounds)).toBe('Enter a reason for the price change');
+    });
+
+    it('tells whether a price sits inside the bounds, open bounds included', () => {
+        expect(isWithinBounds(8, priceBounds(10, settings))).toBe(true);
+        expect(isWithinBounds(7.99, priceBounds(10, settings))).toBe(false);
+        expect(isWithinBounds(15.01, priceBounds(10, settings))).toBe(false);
+        expect(isWithinBounds(1000, priceBounds(null, settings))).toBe(true);
+    });
+});
@@ -1,12 +1,223 @@
 import { createElement } from '@lwc/engine-dom';
+import { getRecord } from 'lightning/uiRecordApi';
+import { CurrentPageReference } from 'lightning/navigation';
+import { publish, subscribe } from 'lightning/messageService';
 import ProductCartService from 'c/productCartService';
+import getPricebooks from '@salesforce/apex/ProductCartService.getPricebooks';
+import getCartSettings from '@salesforce/apex/ProductCartService.getCartSettings';
+import getParentContext from '@salesforce/apex/ProductCartService.getParentContext';
+import getProductPage from '@salesforce/apex/ProductCartService.getProductPage';
+import getProductsByCodes from '@salesforce/apex/ProductCartService.getProductsByCodes';
+import getExistingLines from '@salesforce/apex/ProductCartService.getExistingLines';
+import previewAddProducts from '@salesforce/apex/ProductCartService.previewAddProducts';
+import addProducts from '@salesforce/apex/ProductCartService.addProducts';
+import getRepricedProducts from '@salesforce/apex/ProductCartService.getRepricedProducts';
+import changeParentPricebook from '@salesforce/apex/ProductCartService.changeParentPricebook';
+import updateParentPricebook from '@salesforce/apex/ProductCartService.updateParentPricebook';
+import getDraft from '@salesforce/apex/ProductCartService.getDraft';
+import deleteDraft from '@salesforce/apex/ProductCartService.deleteDraft';
+import getPurchaseHistory from '@salesforce/apex/ProductCartService.getPurchaseHistory';
+import getTemplates from '@salesforce/apex/ProductCartTemplateService.getTemplates';
+import applyTemplate from '@salesforce/apex/ProductCartTemplateService.applyTemplate';
+
+jest.mock(
+    '@salesforce/apex/ProductCartService.getPricebooks',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getCartSettings',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+// The stock flowSupport stub drops the attribute name and value
+jest.mock(
+    'lightning/flowSupport',
+    () => {
+        class FlowAttributeChangeEvent extends CustomEvent {
+            constructor(attributeName, attributeValue) {
+                super('lightning__flowattributechange', {
+                    bubbles: true,
+                    composed: true,
+                    detail: { attributeName, attributeValue }
+                });
+            }
+        }
+        return { FlowAttributeChangeEvent };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getParentContext',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getProductPage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getProductsByCodes',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getExistingLines',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.previewAddProducts',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.addProducts',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getRepricedProducts',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.changeParentPricebook',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.updateParentPricebook',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.deleteDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartService.getPurchaseHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartTemplateService.getTemplates',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ProductCartTemplateService.applyTemplate',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const EXISTING_LINES = [
+    {
+        lineId: '00k000000000001AAA',
+        productId: '01t000000000001AAA',
+        name: 'Steel Bracket',
+        productCode: 'SB-100',
+        quantity: 4,
+        unitPrice: 25,
+        currencyIsoCode: 'USD'
+    }
+];
+
+const PRICEBOOKS = [
+    { pricebookId: '01s000000000001AAA', name: 'AMERP Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 14, families: [] }
+];
+
+const PARENT_CONTEXT = {
+    objectApiName: 'Order',
+    objectLabel: 'Order',
+    nameField: 'Name',
+    currencyField: 'CurrencyIsoCode',
+    lockField: 'Status',
+    lockValues: ['Activated'],
+    canEdit: true,
+    recordFields: ['Order.Name', 'Order.CurrencyIsoCode', 'Order.Status']
+};
+
+const PARENT_RECORD = {
+    fields: {
+        Status: { value: 'Draft' },
+        CurrencyIsoCode: { value: 'USD' },
+        Name: { value: 'Acme Q3 Restock' }
+    }
+};
+
+const PRODUCT_PAGE = {
+    totalCount: 14,
+    pageSize: 6,
+    nextCursor: '01u000000000006AAA',
+    families: ['Fasteners'],
+    products: [
+        {
+            productId: '01t000000000002AAA',
+            name: 'Hex Bolt',
+            productCode: 'HB-10',
+            ProductFamily: 'Fasteners',
+            unitPrice: 2,
+            listPrice: 2.5,
+            currencyIsoCode: 'USD',
+            description: 'Zinc plated M10 bolt',
+            quantityUnitOfMeasure: 'Each',
+            brand: 'Acme',
+            specs: [{ label: 'Thread', value: 'M10' }],
+            availableQuantity: 3,
+            stockStatus: 'LOW_STOCK',
+            imageUrls: []
+        }
+    ]
+};
+
+const SAVE_RESULT = {
+    isPreview: false,
+    insertedCount: 0,
+    updatedCount: 1,
+    deletedCount: 0,
+    skippedCount: 1,
+    failedCount: 0,
+    lines: [
+        { productId: '01t000000000001AAA', lineId: '00k000000000001AAA', name: 'Steel Bracket', status: 'UPDATED' },
+        { productId: '01t000000000002AAA', lineId: null, name: 'Hex Bolt', status: 'SKIPPED', pricebookSource: 'NONE', message: 'No active price book entry' }
+    ]
+};
+
+// Resolves pending promise chains started by the component
+const flushPromises = () => Promise.resolve().then(() => Promise.resolve());
 
 describe('c-product-cart-service', () => {
+    beforeEach(() => {
+        getExistingLines.mockResolvedValue([]);
+        getProductPage.mockResolvedValue(PRODUCT_PAGE);
+        getDraft.mockResolvedValue(null);
+        deleteDraft.mockResolvedValue();
+    });
+
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        localStorage.clear();
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +233,1207 @@ describe('c-product-cart-service', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('loads the parent record lines into the cart', async () => {
+        getExistingLines.mockResolvedValue(EXISTING_LINES);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(getExistingLines).toHaveBeenCalledWith({ parentId: '006000000000001AAA' });
+        const floatingCart = element.shadowRoot.querySelector('.floating-cart');
+        expect(floatingCart.textContent).toContain('Cart (1)');
+
+        floatingCart.click();
+        await flushPromises();
+        const badge = element.shadowRoot.querySelector('.existing-badge');
+        expect(badge.textContent).toBe('On record');
+    });
+
+    it('keeps the stored price of a record line until its quantity changes', async () => {
+        // An order line carries its discount folded into the price
+        getExistingLines.mockResolvedValue([{
+            ...EXISTING_LINES[0],
+            unitPrice: 22.5,
+            entryPrice: 30,
+            priceTiers: [{ minQuantity: 10, unitPrice: 24 }]
+        }]);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        expect(element.getCart().lines[0].unitPrice).toBe(22.5);
+        expect(element.getCart().hasUnsavedChanges).toBe(false);
+
+        const cartQty = element.shadowRoot.querySelector('.qty-input');
+        cartQty.value = '10';
+        cartQty.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(element.getCart().lines[0].unitPrice).toBe(24);
+
+        cartQty.value = '4';
+        cartQty.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(element.getCart().lines[0].unitPrice).toBe(22.5);
+    });
+
+    it('previews the save and reports skipped lines after saving', async () => {
+        getExistingLines.mockResolvedValue(EXISTING_LINES);
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        addProducts.mockResolvedValue(SAVE_RESULT);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+
+        const groups = element.shadowRoot.querySelectorAll('.preview-group');
+        expect(Array.from(groups).map(g => g.dataset.group)).toEqual(['updated', 'skipped']);
+        expect(addProducts).not.toHaveBeenCalled();
+
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+
+        expect(addProducts).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelector('.success-message').textContent)
+            .toContain('Some products could not be saved');
+        expect(element.shadowRoot.querySelector('.problem-line').textContent)
+            .toContain('Skipped: Hex Bolt');
+    });
+
+    it('keeps skipped lines in the cart when the summary closes before the record lines reload', async () => {
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        addProducts.mockResolvedValue(SAVE_RESULT);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+        await element.addProduct('01t000000000002AAA', 2);
+
+        let reload;
+        getExistingLines.mockReturnValue(new Promise(resolve => { reload = resolve; }));
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+        expect(addProducts).toHaveBeenCalledTimes(1);
+
+        element.shadowRoot.querySelector('.close-btn').click();
+        reload(EXISTING_LINES);
+        await flushPromises();
+        expect(element.getCart().lines.map(l => l.name)).toEqual(['Steel Bracket', 'Hex Bolt']);
+    });
+
+    it('requests one page of products at a time from the server', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenLastCalledWith({
+            pricebookId: '01s000000000001AAA',
+            currencyIso: 'USD',
+            searchTerm: '',
+            families: [],
+            minPrice: null,
+            maxPrice: null,
+            facetFilters: {},
+            sortOption: 'default',
+            pageCursor: null,
+            pageSize: 6
+        });
+        expect(element.shadowRoot.querySelector('.pagination-info').textContent)
+            .toContain('Page 1 of 3');
+        const chips = element.shadowRoot.querySelectorAll('.category-card');
+        expect(Array.from(chips).map(c => c.dataset.category)).toContain('Fasteners');
+
+        // Only pages with a known cursor can be opened: page 3 is reached through page 2
+        expect(element.shadowRoot.querySelector('button.page-btn[data-page="3"]')).toBeNull();
+        getProductPage.mockResolvedValueOnce({
+            ...PRODUCT_PAGE, nextCursor: '01u000000000012AAA', previousCursor: null
+        });
+        element.shadowRoot.querySelector('button.page-btn[data-page="2"]').click();
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenLastCalledWith(
+            expect.objectContaining({ pageCursor: '01u000000000006AAA' })
+        );
+        element.shadowRoot.querySelector('button.page-btn[data-page="3"]').click();
+        await flushPromises();
+        expect(getProductPage).toHaveBeenLastCalledWith(
+            expect.objectContaining({ pageCursor: '01u000000000012AAA' })
+        );
+    });
+
+    it('restores filters from the page URL and offers facets with counts and removable chips', async () => {
+        getProductPage.mockResolvedValue({
+            ...PRODUCT_PAGE,
+            families: ['Fasteners', 'Tools'],
+            familyCounts: [{ value: 'Fasteners', count: 14 }],
+            facets: [{ field: 'Brand__c', label: 'Brand', values: [{ value: 'Acme', count: 9 }, { value: 'Bolt Co', count: 5 }] }],
+            minAvailablePrice: 0.5,
+            maxAvailablePrice: 40
+        });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: '801000000000001AAA', actionName: 'view' },
+            state: { c__families: 'Fasteners', c__facet_Brand__c: 'Acme', c__minPrice: '1', c__sort: 'price-low' }
+        });
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenLastCalledWith(expect.objectContaining({
+            families: ['Fasteners'],
+            minPrice: 1,
+            maxPrice: null,
+            facetFilters: { Brand__c: ['Acme'] },
+            sortOption: 'price-low'
+        }));
+        const counts = [...element.shadowRoot.querySelectorAll('.category-count')].map(c => c.textContent);
+        expect(counts).toEqual(['14', '0']);
+        const brandOptions = element.shadowRoot.querySelectorAll('.facet-toggle');
+        expect([...brandOptions].map(o => o.checked)).toEqual([true, false]);
+        expect([...element.shadowRoot.querySelectorAll('.filter-chip')].map(c => c.textContent.trim()))
+            .toEqual(['Fasteners ✕', 'From $1.00 ✕', 'Brand: Acme ✕']);
+
+        // Families are multi-select
+        element.shadowRoot.querySelector('.category-card[data-category="Tools"]').click();
+        await flushPromises();
+        expect(getProductPage).toHaveBeenLastCalledWith(expect.objectContaining({ families: ['Fasteners', 'Tools'] }));
+
+        brandOptions[1].click();
+        await flushPromises();
+        expect(getProductPage).toHaveBeenLastCalledWith(
+            expect.objectContaining({ facetFilters: { Brand__c: ['Acme', 'Bolt Co'] }, pageCursor: null })
+        );
+
+        element.shadowRoot.querySelector('.filter-chip[data-type="price"]').click();
+        await flushPromises();
+        expect(getProductPage).toHaveBeenLastCalledWith(expect.objectContaining({ minPrice: null }));
+
+        element.shadowRoot.querySelector('.btn-clear-filters').click();
+        await flushPromises();
+        expect(getProductPage).toHaveBeenLastCalledWith(expect.objectContaining({
+            families: [],
+            facetFilters: {},
+            sortOption: 'price-low'
+        }));
+        expect(element.shadowRoot.querySelector('.filter-chips')).toBeNull();
+    });
+
+    it('shows real product details and list price savings in the details modal', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.btn-view-details').click();
+        await flushPromises();
+
+        const modal = element.shadowRoot.querySelector('.details-modal');
+        expect(modal.querySelector('.details-title').textContent).toBe('Acme');
+        expect(modal.querySelector('.description-text').textContent).toBe('Zinc plated M10 bolt');
+        expect(modal.querySelector('.discount-badge').textContent).toBe('20% OFF');
+        expect(modal.querySelector('.details-grid').textContent).toContain('M10');
+    });
+
+    it('shows volume tiers for the chosen quantity and adds at the tier price', async () => {
+        const tieredProduct = { ...PRODUCT_PAGE.products[0], priceTiers: [{ minQuantity: 2, unitPrice: 1.5 }] };
+        getProductPage.mockResolvedValue({ ...PRODUCT_PAGE, products: [tieredProduct] });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.btn-view-details').click();
+        await flushPromises();
+        const modal = element.shadowRoot.querySelector('.details-modal');
+        expect(modal.querySelectorAll('.tier-row').length).toBe(2);
+        expect(modal.querySelector('.tier-row-active').textContent).toContain('1 units');
+
+        modal.querySelector('.qty-btn-plus').click();
+        await flushPromises();
+        expect(modal.querySelector('.tier-row-active').textContent).toContain('2+ units');
+
+        modal.querySelector('.btn-details-primary').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.item-total').textContent).toBe('$3.00');
+    });
+
+    it('compares products side by side and adds from the comparison with quantity checks', async () => {
+        const washer = {
+            ...PRODUCT_PAGE.products[0],
+            productId: '01t000000000003AAA',
+            name: 'Flat Washer',
+            productCode: 'FW-10',
+            unitPrice: 0.5,
+            quantityUnitOfMeasure: 'Box',
+            minQuantity: 10,
+            quantityIncrement: 10,
+            availableQuantity: null,
+            specs: [{ label: 'Thread', value: 'M10' }, { label: 'Finish', value: 'Zinc' }]
+        };
+        getProductPage.mockResolvedValue({ ...PRODUCT_PAGE, products: [PRODUCT_PAGE.products[0], washer] });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        const toggles = element.shadowRoot.querySelectorAll('.btn-compare');
+        toggles[0].click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.btn-open-compare').disabled).toBe(true);
+        toggles[1].click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.compare-tray-count').textContent).toBe('Compare 2 of 4');
+
+        element.shadowRoot.querySelector('.btn-open-compare').click();
+        await flushPromises();
+        const modal = element.shadowRoot.querySelector('.compare-modal');
+        const rows = [...modal.querySelectorAll('.compare-row')].map(row =>
+            [...row.querySelectorAll('th, td')].map(cell => cell.textContent));
+        expect(rows).toEqual([
+            ['Product Code', 'HB-10', 'FW-10'],
+            ['Family', 'Fasteners', 'Fasteners'],
+            ['Price', '$2.00', '$0.50'],
+            ['Unit of Measure', 'Each', 'Box'],
+            ['Thread', 'M10', 'M10'],
+            ['Finish', '—', 'Zinc']
+        ]);
+        expect(modal.querySelectorAll('.compare-row-differs').length).toBe(4);
+
+        const qtyInputs = modal.querySelectorAll('.compare-qty-input');
+        expect(qtyInputs[1].value).toBe('10');
+        qtyInputs[0].value = '5';
+        qtyInputs[0].dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(qtyInputs[0].value).toBe('1');
+
+        qtyInputs[1].value = '15';
+        qtyInputs[1].dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(modal.querySelector('.qty-issue-message').textContent).toBe('Order in packs of 10 Box');
+        expect(modal.querySelectorAll('.btn-compare-add')[1].disabled).toBe(true);
+
+        modal.querySelectorAll('.btn-qty-suggestion')[1].click();
+        await flushPromises();
+        modal.querySelectorAll('.btn-compare-add')[1].click();
+        await flushPromises();
+
+        expect(element.getCart().lines).toEqual([
+            expect.objectContaining({ productId: '01t000000000003AAA', quantity: 20 })
+        ]);
+    });
+
+    it('configures kit add-ons in the details modal and saves them with the kit', async () => {
+        const kit = {
+            ...PRODUCT_PAGE.products[0],
+            isBundle: true,
+            components: [
+                { productId: '01t000000000010AAA', name: 'Mounting Plate', defaultQuantity: 2, isOptional: false, unitPrice: 3 },
+                { productId: '01t000000000011AAA', name: 'Extended Warranty', defaultQuantity: 1, isOptional: true, unitPrice: 5 }
+            ]
+        };
+        getProductPage.mockResolvedValue({ ...PRODUCT_PAGE, products: [kit] });
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.btn-view-details').click();
+        await flushPromises();
+        const modal = element.shadowRoot.querySelector('.details-modal');
+        expect(modal.querySelectorAll('.kit-option').length).toBe(2);
+
+        const warranty = modal.querySelector('.kit-option-toggle');
+        warranty.checked = true;
+        warranty.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(modal.querySelector('.kit-unit-price').textContent).toContain('$7.00');
+
+        modal.querySelector('.btn-details-primary').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+
+        const components = element.shadowRoot.querySelectorAll('.kit-component');
+        expect(components.length).toBe(2);
+        expect(components[0].textContent).toContain('Included');
+        expect(element.shadowRoot.querySelector('.item-total').textContent).toBe('$7.00');
+
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+        expect(previewAddProducts.mock.calls[0][0].lines[0].Components).toEqual([
+            { Product2Id: '01t000000000011AAA', Quantity: 1 }
+        ]);
+    });
+
+    it('enforces minimum and pack quantities with rounding options in the modal and cart', async () => {
+        const packed = { ...PRODUCT_PAGE.products[0], availableQuantity: null, minQuantity: 10, quantityIncrement: 6 };
+        getProductPage.mockResolvedValue({ ...PRODUCT_PAGE, products: [packed] });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.btn-view-details').click();
+        await flushPromises();
+        const modal = element.shadowRoot.querySelector('.details-modal');
+        const qtyInput = modal.querySelector('.qty-input-details');
+        expect(qtyInput.value).toBe('12');
+        expect(modal.querySelector('.qty-rule').textContent).toBe('Min 10 · Packs of 6 · Each');
+
+        qtyInput.value = '20';
+        qtyInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(modal.querySelector('.qty-issue-message').textContent).toBe('Order in packs of 6 Each');
+        expect(modal.querySelector('.btn-details-primary').disabled).toBe(true);
+
+        modal.querySelectorAll('.btn-qty-suggestion')[1].click();
+        await flushPromises();
+        expect(modal.querySelector('.qty-issue')).toBeNull();
+        modal.querySelector('.btn-details-primary').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+
+        const cartQty = element.shadowRoot.querySelector('.qty-input');
+        cartQty.value = '25';
+        cartQty.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.cart-footer .btn-primary').disabled).toBe(true);
+
+        const suggestions = element.shadowRoot.querySelectorAll('.cart-item .btn-qty-suggestion');
+        expect(Array.from(suggestions).map(b => b.dataset.qty)).toEqual(['24', '30']);
+        suggestions[1].click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.item-total').textContent).toBe('$60.00');
+        expect(element.shadowRoot.querySelector('.cart-footer .btn-primary').disabled).toBe(false);
+    });
+
+    it('reads the registry fields of the parent and explains unsupported objects', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '0WO000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit({
+            ...PARENT_CONTEXT,
+            objectApiName: 'WorkOrder',
+            nameField: 'WorkOrderNumber',
+            lockValues: ['Completed', 'Closed']
+        });
+        getRecord.emit({
+            fields: {
+                WorkOrderNumber: { value: '00001042' },
+                CurrencyIsoCode: { value: 'USD' },
+                Status: { value: 'Closed' }
+            }
+        });
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenCalledWith(expect.objectContaining({ currencyIso: 'USD' }));
+        expect(element.shadowRoot.querySelector('.btn-add-cart').disabled).toBe(true);
+
+        getParentContext.error({ message: 'Products cannot be added to Case records.' });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.parent-error').textContent)
+            .toBe('Products cannot be added to Case records.');
+    });
+
+    it('makes the cart read-only with a banner when the record is locked', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '0Q0000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit({
+            ...PARENT_CONTEXT,
+            objectApiName: 'Quote',
+            objectLabel: 'Quote',
+            lockValues: ['Accepted', 'Denied'],
+            recordFields: ['Quote.Name', 'Quote.CurrencyIsoCode', 'Quote.Status']
+        });
+        getRecord.emit({
+            fields: {
+                Name: { value: 'Q-0042' },
+                CurrencyIsoCode: { value: 'USD' },
+                Status: { value: 'Accepted' }
+            }
+        });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.lock-banner-reason').textContent)
+            .toBe('Products cannot be changed while the Quote is Accepted.');
+        expect(element.shadowRoot.querySelector('.btn-add-cart').disabled).toBe(true);
+
+        getParentContext.emit({ ...PARENT_CONTEXT, canEdit: false });
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.lock-banner-reason').textContent)
+            .toBe('You do not have edit access to this Order.');
+    });
+
+    it('shares the cart through its public methods, cartchange and the message channel', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        const changeHandler = jest.fn();
+        element.addEventListener('cartchange', changeHandler);
+        await expect(element.addProduct('01t000000000002AAA', 2)).resolves.toBe(true);
+
+        const cart = changeHandler.mock.calls[changeHandler.mock.calls.length - 1][0].detail;
+        expect(cart.lines).toEqual([expect.objectContaining({ productId: '01t000000000002AAA', quantity: 2, total: 4 })]);
+        expect(element.getCart().totalAmount).toBe(4);
+        expect(publish).toHaveBeenLastCalledWith(undefined, expect.anything(), {
+            type: 'CART_CHANGED',
+            recordId: '801000000000001AAA',
+            cart
+        });
+
+        // Commands for another record are ignored
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({ type: 'REMOVE', recordId: '801000000000009AAA', productId: '01t000000000002AAA' });
+        expect(element.getCart().lineCount).toBe(1);
+        onMessage({ type: 'REMOVE', recordId: '801000000000001AAA', productId: '01t000000000002AAA' });
+        expect(element.getCart().lineCount).toBe(0);
+
+        getRepricedProducts.mockResolvedValue([
+            { productId: '01t000000000001AAA', name: 'Steel Bracket', unitPrice: 30 }
+        ]);
+        onMessage({ type: 'ADD', recordId: '801000000000001AAA', productId: '01t000000000001AAA' });
+        await flushPromises();
+        expect(element.getCart().lines).toEqual([expect.objectContaining({ name: 'Steel Bracket', quantity: 1 })]);
+
+        element.clear();
+        expect(element.getCart().lineCount).toBe(0);
+    });
+
+    it('hands the cart to the flow instead of saving when the save is deferred', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        element.availableActions = ['NEXT'];
+        element.deferSave = true;
+        element.layout = 'Compact';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        expect(element.classList.contains('layout-compact')).toBe(true);
+        expect(element.shadowRoot.querySelector('.reorder-toggle')).toBeNull();
+
+        const flowHandler = jest.fn();
+        element.addEventListener('lightning__flowattributechange', flowHandler);
+        await element.addProduct('01t000000000002AAA', 2);
+
+        const outputs = {};
+        flowHandler.mock.calls.forEach(([event]) => {
+            outputs[event.detail.attributeName] = event.detail.attributeValue;
+        });
+        expect(outputs.selectedLines).toEqual([
+            expect.objectContaining({ productId: '01t000000000002AAA', quantity: 2, unitPrice: 2, total: 4 })
+        ]);
+        expect(JSON.parse(outputs.selectedLinesJson)).toEqual({
+            lines: [expect.objectContaining({ Product2Id: '01t000000000002AAA', Quantity: 2 })],
+            removedLineIds: []
+        });
+        expect(element.validate()).toEqual({ isValid: true });
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.deferred-save-note')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.btn-save-draft')).toBeNull();
+
+        element.deferSave = false;
+        expect(element.validate().isValid).toBe(false);
+    });
+
+    it('formats prices for the record currency and lists products priced only in other currencies', async () => {
+        getProductPage.mockResolvedValue({
+            ...PRODUCT_PAGE,
+            otherCurrencyProducts: [{
+                productId: '01t000000000005AAA',
+                name: 'Torque Wrench',
+                availableCurrencies: ['USD', 'INR'],
+                message: 'Not available in EUR (available in USD, INR)',
+                referencePrice: 41.5,
+                referenceCurrency: 'USD'
+            }]
+        });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit({ fields: { ...PARENT_RECORD.fields, CurrencyIsoCode: { value: 'EUR' } } });
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenCalledWith(expect.objectContaining({ currencyIso: 'EUR' }));
+        expect(element.shadowRoot.querySelector('.product-price').textContent.trim()).toBe('€2.00');
+        expect(element.shadowRoot.querySelector('.other-currency-title').textContent).toBe('Not available in EUR');
+        expect(element.shadowRoot.querySelector('.other-currency-message').textContent)
+            .toBe('Not available in EUR (available in USD, INR)');
+        expect(element.shadowRoot.querySelector('.other-currency-reference').textContent)
+            .toBe('≈ €41.50 (converted from USD)');
+    });
+
+    it('badges pricebooks by coverage in the record currency and skips empty ones on load', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        element.manualPricebookSelection = true;
+        document.body.appendChild(element);
+        getPricebooks.emit([
+            { pricebookId: '01s000000000003AAA', name: 'Spares Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 0, families: [] },
+            {
+                pricebookId: '01s000000000001AAA',
+                name: 'AMERP Pricebook',
+                isStandard: false,
+                currencyIsoCode: 'USD',
+                entryCount: 14,
+                families: [{ family: 'Tools', entryCount: 4 }, { family: 'Fasteners', entryCount: 10 }],
+                accountUseCount: 2
+            }
+        ]);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        const cards = element.shadowRoot.querySelectorAll('.top-pricebooks .pb-card');
+        expect(cards[0].querySelector('.pb-coverage-empty').textContent).toBe('No products in USD');
+        expect(cards[1].querySelector('.pb-coverage').textContent).toBe('14 products in USD');
+        expect(cards[1].querySelector('.pb-card-families').textContent).toBe('Fasteners (10) · Tools (4)');
+        expect(cards[1].querySelector('.pb-card-usage').textContent).toBe('Used on 2 recent order(s)');
+
+        element.hideEmptyPricebooks = true;
+        await flushPromises();
+        expect(element.shadowRoot.querySelectorAll('.top-pricebooks .pb-card').length).toBe(1);
+
+        // Without a default pricebook the first one with products is picked
+        const autoElement = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        autoElement.recordId = '801000000000002AAA';
+        document.body.appendChild(autoElement);
+        getPricebooks.emit([
+            { pricebookId: '01s000000000003AAA', name: 'Spares Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 0, families: [] },
+            ...PRICEBOOKS
+        ]);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+        expect(getProductPage).toHaveBeenCalledWith(expect.objectContaining({ pricebookId: '01s000000000001AAA' }));
+    });
+
+    it('blocks quick add beyond stock on hand and badges the card', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.stock-badge').textContent).toBe('Low stock');
+
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        const addButton = element.shadowRoot.querySelector('.btn-add-cart');
+        for (let i = 0; i < 4; i++) {
+            addButton.click();
+        }
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+        const lastToast = toastHandler.mock.calls[toastHandler.mock.calls.length - 1][0];
+        expect(lastToast.detail.title).toBe('Insufficient Stock');
+    });
+
+    it('reports unmatched codes from a pasted list before adding to the cart', async () => {
+        getProductsByCodes.mockResolvedValue(PRODUCT_PAGE.products);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.bulk-toggle').click();
+        await flushPromises();
+        const textarea = element.shadowRoot.querySelector('.bulk-textarea');
+        textarea.value = 'HB-10,2\nZZ-99,1';
+        textarea.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('.bulk-actions lightning-button').click();
+        await flushPromises();
+
+        expect(getProductsByCodes).toHaveBeenCalledWith({
+            pricebookId: '01s000000000001AAA',
+            currencyIso: 'USD',
+            productCodes: ['HB-10', 'ZZ-99']
+        });
+        const unmatched = element.shadowRoot.querySelector('[data-section="unmatched"]');
+        expect(unmatched.textContent).toContain('ZZ-99');
+        expect(element.shadowRoot.querySelector('.floating-cart')).toBeNull();
+
+        element.shadowRoot.querySelectorAll('.bulk-actions lightning-button')[1].click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+    });
+
+    it('exports the cart as CSV and renders a quote sheet', async () => {
+        getExistingLines.mockResolvedValue(EXISTING_LINES);
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.btn-export-csv').click();
+
+        const link = clickSpy.mock.instances[0];
+        expect(link.download).toBe('Acme Q3 Restock-products.csv');
+        expect(decodeURIComponent(link.href)).toContain('SB-100,Steel Bracket,4,25,100,USD');
+
+        element.shadowRoot.querySelector('.btn-quote-sheet').click();
+        await flushPromises();
+        const sheet = element.shadowRoot.querySelector('.quote-sheet');
+        expect(sheet.querySelector('.quote-sheet-meta').textContent).toContain('Acme Q3 Restock');
+        expect(sheet.querySelector('.quote-sheet-meta').textContent).toContain('AMERP Pricebook');
+        expect(sheet.querySelector('.quote-sheet-total').textContent).toBe('$100.00');
+        clickSpy.mockRestore();
+    });
+
+    it('applies line and cart discounts and blocks saving above the maximum', async () => {
+        getExistingLines.mockResolvedValue(EXISTING_LINES);
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        document.body.appendChild(element);
+        getCartSettings.emit({ allowBackorders: false, maxDiscountPercent: 20, discountAboveMax: 'Block' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        const lineDiscount = element.shadowRoot.querySelector('.discount-input');
+        lineDiscount.value = '10';
+        lineDiscount.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.item-total').textContent).toBe('90');
+        expect(element.shadowRoot.querySelector('.discount-amount').textContent).toBe('-10');
+
+        const cartDiscount = element.shadowRoot.querySelector('.cart-discount-input');
+        cartDiscount.value = '20';
+        cartDiscount.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.discount-warning').textContent)
+            .toBe('Discounts above 20% are not allowed');
+        expect(element.shadowRoot.querySelector('.cart-footer .btn-primary').disabled).toBe(true);
+
+        cartDiscount.value = '5';
+        cartDiscount.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+
+        expect(previewAddProducts.mock.calls[0][0].lines[0]).toEqual(
+            expect.objectContaining({ Id: '00k000000000001AAA', UnitPrice: 25, Discount: 14.5 })
+        );
+    });
+
+    it('lets permitted users override a unit price within bounds and sends the reason', async () => {
+        getExistingLines.mockResolvedValue([{ ...EXISTING_LINES[0], entryPrice: 25 }]);
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        document.body.appendChild(element);
+        getCartSettings.emit({
+            canOverridePrice: true,
+            priceOverrideFloorPercent: 80,
+            priceOverrideCeilingPercent: 150
+        });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.price-hint').textContent)
+            .toBe('List price 25 · allowed 20 to 37.5');
+        expect(element.getCart().hasUnsavedChanges).toBe(false);
+
+        const priceInput = element.shadowRoot.querySelector('.price-input');
+        priceInput.value = '19';
+        priceInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.price-override-badge')).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.price-issue').textContent).toBe('Unit price cannot be below 20');
+        expect(element.shadowRoot.querySelector('.cart-footer .btn-primary').disabled).toBe(true);
+
+        priceInput.value = '22';
+        priceInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.price-issue').textContent).toBe('Enter a reason for the price change');
+
+        const reasonInput = element.shadowRoot.querySelector('.price-reason-input');
+        reasonInput.value = 'Competitor match';
+        reasonInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.price-issue')).toBeNull();
+        expect(element.shadowRoot.querySelector('.item-total').textContent).toBe('88');
+        // The override alone is an unsaved change, so the draft is kept
+        expect(element.getCart().hasUnsavedChanges).toBe(true);
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+
+        expect(previewAddProducts.mock.calls[0][0].lines[0]).toEqual(expect.objectContaining({
+            UnitPrice: 22,
+            PriceOverride: true,
+            PriceReason: 'Competitor match'
+        }));
+    });
+
+    it('keeps a saved kit and its included components together', async () => {
+        getExistingLines.mockResolvedValue([
+            { lineId: '00k000000000005AAA', productId: '01t000000000005AAA', name: 'Starter Kit', productCode: 'KIT-1', quantity: 2, unitPrice: 40, entryPrice: 40, currencyIsoCode: 'USD' },
+            { lineId: '00k000000000006AAA', productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-200', quantity: 8, unitPrice: 0, entryPrice: 2, currencyIsoCode: 'USD', kitLineId: '00k000000000005AAA', kitName: 'Starter Kit' },
+            { ...EXISTING_LINES[0], entryPrice: 25 }
+        ]);
+        previewAddProducts.mockResolvedValue({ ...SAVE_RESULT, isPreview: true });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        document.body.appendChild(element);
+        getCartSettings.emit({ canOverridePrice: true, priceOverrideFloorPercent: 80, priceOverrideCeilingPercent: 150 });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        // Only the standalone line can change quantity or price; the free component is not re-priced
+        expect(element.shadowRoot.querySelectorAll('.qty-input')).toHaveLength(1);
+        expect(element.shadowRoot.querySelectorAll('.price-input')).toHaveLength(1);
+        expect([...element.shadowRoot.querySelectorAll('.kit-note')].map(n => n.textContent)).toEqual([
+            'Kit: remove it and add it again to change the quantity',
+            'Included with Starter Kit'
+        ]);
+        expect(element.getCart().lines[1].total).toBe(0);
+
+        element.shadowRoot.querySelectorAll('.remove-btn')[1].click();
+        await flushPromises();
+        expect(toastHandler.mock.calls[toastHandler.mock.calls.length - 1][0].detail.title).toBe('Part of a Kit');
+        expect(element.getCart().lineCount).toBe(3);
+
+        element.shadowRoot.querySelectorAll('.remove-btn')[0].click();
+        await flushPromises();
+        expect(element.getCart().lines.map(l => l.name)).toEqual(['Steel Bracket']);
+
+        element.shadowRoot.querySelector('.cart-footer .btn-primary').click();
+        await flushPromises();
+        expect(previewAddProducts.mock.calls[0][0].removedLineIds).toEqual(['00k000000000005AAA', '00k000000000006AAA']);
+    });
+
+    it('asks before moving record lines to another pricebook and re-prices the cart', async () => {
+        getExistingLines.mockResolvedValue(EXISTING_LINES);
+        getRepricedProducts.mockResolvedValue([
+            { productId: '01t000000000001AAA', name: 'Steel Bracket', unitPrice: 30 }
+        ]);
+        changeParentPricebook.mockResolvedValue({ ...SAVE_RESULT, lines: [] });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit([
+            ...PRICEBOOKS,
+            { pricebookId: '01s000000000002AAA', name: 'EMEA Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 14, families: [] }
+        ]);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.back-button').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+
+        element.shadowRoot.querySelector('.pb-card[data-pbid="01s000000000002AAA"]').click();
+        await flushPromises();
+
+        const dialog = element.shadowRoot.querySelector('.pricebook-change');
+        expect(dialog.querySelector('.pricebook-change-title').textContent).toBe('Switch to EMEA Pricebook?');
+        expect(dialog.querySelector('tbody tr').textContent).toContain('30');
+        expect(changeParentPricebook).not.toHaveBeenCalled();
+
+        getExistingLines.mockResolvedValue([
+            { ...EXISTING_LINES[0], lineId: '00k000000000002AAA', unitPrice: 30 }
+        ]);
+        dialog.querySelector('.btn-reprice').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(changeParentPricebook).toHaveBeenCalledWith({
+            parentId: '006000000000001AAA',
+            pricebookId: '01s000000000002AAA',
+            removedLineIds: []
+        });
+        expect(element.shadowRoot.querySelector('.pricebook-change')).toBeNull();
+        expect(element.shadowRoot.querySelector('.selected-pricebook-name').textContent).toBe('EMEA Pricebook');
+    });
+
+    it('keeps pending price overrides the new pricebook still allows and reports the dropped ones', async () => {
+        getExistingLines.mockResolvedValue([
+            { ...EXISTING_LINES[0], entryPrice: 25 },
+            { lineId: '00k000000000002AAA', productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-200', quantity: 4, unitPrice: 10, entryPrice: 10, currencyIsoCode: 'USD' }
+        ]);
+        getRepricedProducts.mockResolvedValue([
+            { productId: '01t000000000001AAA', name: 'Steel Bracket', unitPrice: 30 },
+            { productId: '01t000000000002AAA', name: 'Hex Bolt', unitPrice: 10.5 }
+        ]);
+        changeParentPricebook.mockResolvedValue({ ...SAVE_RESULT, lines: [] });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '006000000000001AAA';
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        document.body.appendChild(element);
+        getCartSettings.emit({
+            canOverridePrice: true,
+            priceOverrideFloorPercent: 80,
+            priceOverrideCeilingPercent: 150
+        });
+        getPricebooks.emit([
+            ...PRICEBOOKS,
+            { pricebookId: '01s000000000002AAA', name: 'EMEA Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 14, families: [] }
+        ]);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.floating-cart').click();
+        await flushPromises();
+        const priceInputs = element.shadowRoot.querySelectorAll('.price-input');
+        priceInputs[0].value = '22';
+        priceInputs[0].dispatchEvent(new CustomEvent('change'));
+        priceInputs[1].value = '9';
+        priceInputs[1].dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        const reasonInputs = element.shadowRoot.querySelectorAll('.price-reason-input');
+        reasonInputs[0].value = 'Competitor match';
+        reasonInputs[0].dispatchEvent(new CustomEvent('change'));
+        reasonInputs[1].value = 'Loyalty';
+        reasonInputs[1].dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.back-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.pb-card[data-pbid="01s000000000002AAA"]').click();
+        await flushPromises();
+        getExistingLines.mockResolvedValue([
+            { ...EXISTING_LINES[0], lineId: '00k000000000003AAA', unitPrice: 30, entryPrice: 30 },
+            { lineId: '00k000000000004AAA', productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-200', quantity: 4, unitPrice: 10.5, entryPrice: 10.5, currencyIsoCode: 'USD' }
+        ]);
+        element.shadowRoot.querySelector('.pricebook-change .btn-reprice').click();
+        await flushPromises();
+        await flushPromises();
+
+        // 22 is below the new 24 floor of Steel Bracket; 9 is still within 8.40 to 15.75 for Hex Bolt
+        expect(element.getCart().lines.map(l => l.unitPrice)).toEqual([30, 9]);
+        expect(element.getCart().hasUnsavedChanges).toBe(true);
+        const toast = toastHandler.mock.calls[toastHandler.mock.calls.length - 1][0].detail;
+        expect(toast.variant).toBe('warning');
+        expect(toast.message).toBe("Price overrides outside the new price book's limits were removed: Steel Bracket");
+    });
+
+    it('starts from the record pricebook and reports a pricebook switch the server rejects', async () => {
+        updateParentPricebook.mockRejectedValue({ body: { message: 'Products cannot be changed while the Order is Activated.' } });
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        element.defaultPricebookName = 'AMERP Pricebook';
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        document.body.appendChild(element);
+        getPricebooks.emit([
+            ...PRICEBOOKS,
+            { pricebookId: '01s000000000002AAA', name: 'EMEA Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 14, families: [] }
+        ]);
+        getParentContext.emit({
+            ...PARENT_CONTEXT,
+            pricebookField: 'Pricebook2Id',
+            recordFields: [...PARENT_CONTEXT.recordFields, 'Order.Pricebook2Id']
+        });
+        getRecord.emit({ fields: { ...PARENT_RECORD.fields, Pricebook2Id: { value: '01s000000000002AAA' } } });
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenLastCalledWith(
+            expect.objectContaining({ pricebookId: '01s000000000002AAA' })
+        );
+
+        element.shadowRoot.querySelector('.back-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.pb-card[data-pbid="01s000000000001AAA"]').click();
+        await flushPromises();
+
+        expect(updateParentPricebook).toHaveBeenCalledWith({
+            parentId: '801000000000001AAA',
+            pricebookId: '01s000000000001AAA'
+        });
+        expect(toastHandler).toHaveBeenCalledTimes(1);
+        expect(toastHandler.mock.calls[0][0].detail).toEqual(expect.objectContaining({
+            variant: 'error',
+            message: 'Products cannot be changed while the Order is Activated.'
+        }));
+    });
+
+    it('uses the App Builder page size, default pricebook and visible families', async () => {
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        element.defaultPricebookName = 'EMEA Pricebook';
+        element.pageSize = 12;
+        element.visibleFamilies = 'Fasteners, Brackets';
+        document.body.appendChild(element);
+        getPricebooks.emit([
+            ...PRICEBOOKS,
+            { pricebookId: '01s000000000002AAA', name: 'EMEA Pricebook', isStandard: false, currencyIsoCode: 'USD', entryCount: 14, families: [] }
+        ]);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenLastCalledWith(
+            expect.objectContaining({ pricebookId: '01s000000000002AAA', pageSize: 12 })
+        );
+        // Brackets has no products in this pricebook
+        const chips = element.shadowRoot.querySelectorAll('.category-card');
+        expect(Array.from(chips).map(c => c.dataset.category))
+            .toEqual(['All Products', 'Fasteners']);
+    });
+
+    it('offers to resume a stored draft and re-prices it against the current price book', async () => {
+        localStorage.setItem('productCartDraft:801000000000001AAA:01s000000000001AAA', JSON.stringify({
+            savedAt: '2026-10-01T10:00:00.000Z',
+            cartDiscount: 0,
+            removedLineIds: [],
+            lines: [
+                { lineId: null, productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-10', qty: 2, price: 1.5, discount: 0 },
+                { lineId: null, productId: '01t000000000009AAA', name: 'Retired Nut', productCode: 'RN-1', qty: 1, price: 1, discount: 0 }
+            ]
+        }));
+        getRepricedProducts.mockResolvedValue([PRODUCT_PAGE.products[0]]);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        const prompt = element.shadowRoot.querySelector('.draft-prompt');
+        expect(prompt.textContent).toContain('2 line(s)');
+        expect(element.shadowRoot.querySelector('.floating-cart')).toBeNull();
+
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+        prompt.querySelector('.btn-resume-draft').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.draft-prompt')).toBeNull();
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+        expect(toastHandler.mock.calls[0][0].detail.message)
+            .toBe('1 line(s) re-priced and 1 line(s) no longer available were removed');
+        const stored = JSON.parse(localStorage.getItem('productCartDraft:801000000000001AAA:01s000000000001AAA'));
+        expect(stored.lines[0].price).toBe(2);
+    });
+
+    it('applies a saved template to the cart and flags the products it could not add', async () => {
+        getTemplates.mockResolvedValue([
+            { templateId: 'a01000000000001AAA', name: 'Monthly Consumables', ownerName: 'Sam Lee', lineCount: 3 }
+        ]);
+        const washer = { ...PRODUCT_PAGE.products[0], productId: '01t000000000003AAA', name: 'Steel Washer', minQuantity: 10 };
+        applyTemplate.mockResolvedValue([
+            { productId: '01t000000000002AAA', name: 'Hex Bolt', quantity: 2, pricebookSource: 'PARENT_PRICEBOOK', product: PRODUCT_PAGE.products[0] },
+            { productId: '01t000000000009AAA', name: 'Retired Nut', quantity: 5, pricebookSource: 'NONE', message: 'No active price book entry in USD', product: null },
+            { productId: '01t000000000003AAA', name: 'Steel Washer', quantity: 2, pricebookSource: 'PARENT_PRICEBOOK', product: washer }
+        ]);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.template-toggle').click();
+        await flushPromises();
+        const select = element.shadowRoot.querySelector('.template-select');
+        expect(select.options[0].label).toBe('Monthly Consumables (3 products, Sam Lee)');
+        select.dispatchEvent(new CustomEvent('change', { detail: { value: 'a01000000000001AAA' } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('.btn-apply-template').click();
+        await flushPromises();
+
+        expect(applyTemplate).toHaveBeenCalledWith({
+            templateId: 'a01000000000001AAA',
+            parentId: '801000000000001AAA'
+        });
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+        const unavailable = element.shadowRoot.querySelector('[data-section="unavailable"]').textContent;
+        expect(unavailable).toContain('Retired Nut · No active price book entry in USD');
+        // The minimum of 10 pushes the washer past the 3 in stock
+        expect(unavailable).toContain('Steel Washer · Only 3 in stock (Minimum order is 10 Each, so 2 was rounded up to 10)');
+    });
+
+    it('re-prices a past order in the selected price book and adds it in one click', async () => {
+        getPurchaseHistory.mockResolvedValue({
+            accountName: 'Acme',
+            orders: [{
+                recordId: '801000000000009AAA',
+                objectType: 'Order',
+                name: 'Order 00000107',
+                orderDate: '2026-09-01',
+                totalAmount: 26,
+                currencyIsoCode: 'USD',
+                lines: [
+                    { productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-10', quantity: 3, unitPrice: 1.8 },
+                    { productId: '01t000000000009AAA', name: 'Retired Nut', productCode: 'RN-1', quantity: 20, unitPrice: 1 }
+                ]
+            }],
+            frequentProducts: [
+                { productId: '01t000000000002AAA', name: 'Hex Bolt', productCode: 'HB-10', timesOrdered: 1, lastQuantity: 3, lastPrice: 1.8 }
+            ]
+        });
+        getRepricedProducts.mockResolvedValue([PRODUCT_PAGE.products[0]]);
+        const element = createElement('c-product-cart-service', {
+            is: ProductCartService
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        getPricebooks.emit(PRICEBOOKS);
+        getParentContext.emit(PARENT_CONTEXT);
+        getRecord.emit(PARENT_RECORD);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.reorder-toggle').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getRepricedProducts).toHaveBeenCalledWith({
+            pricebookId: '01s000000000001AAA',
+            currencyIso: 'USD',
+            productIds: ['01t000000000002AAA', '01t000000000009AAA']
+        });
+        const lines = element.shadowRoot.querySelectorAll('.reorder-order .reorder-line');
+        expect(lines[0].textContent).toContain('Now: $2.00');
+        expect(lines[1].textContent).toContain('Not in this price book');
+
+        element.shadowRoot.querySelector('.btn-reorder-all').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.floating-cart').textContent).toContain('Cart (1)');
+    });
+});
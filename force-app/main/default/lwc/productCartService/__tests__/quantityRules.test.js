@@ -0,0 +1,28 @@
+import { checkQuantity, minimumQuantity, roundUpQuantity } from '../quantityRules';
+
+describe('quantityRules', () => {
+    const rule = { minQuantity: 10, quantityIncrement: 6, quantityUnitOfMeasure: 'Each' };
+
+    it('starts at the first pack multiple above the minimum and rounds up to it', () => {
+        expect(minimumQuantity(rule)).toBe(12);
+        expect(minimumQuantity({ quantityIncrement: 0.25 })).toBe(0.25);
+        expect(minimumQuantity({})).toBe(1);
+        expect(roundUpQuantity(rule, 13)).toBe(18);
+        expect(roundUpQuantity(rule, 2)).toBe(12);
+    });
+
+    it('explains invalid quantities and suggests the valid quantities either side', () => {
+        expect(checkQuantity(rule, 18)).toEqual({ isValid: true, message: null, suggestions: [] });
+        expect(checkQuantity(rule, 20)).toEqual({
+            isValid: false,
+            message: 'Order in packs of 6 Each',
+            suggestions: [18, 24]
+        });
+        expect(checkQuantity(rule, 6)).toEqual({
+            isValid: false,
+            message: 'Minimum order is 10 Each',
+            suggestions: [12]
+        });
+        expect(checkQuantity({ quantityIncrement: 0.1 }, 0.3).isValid).toBe(true);
+    });
+});
@@ -0,0 +1,155 @@
+/* Catalog filter, sort and page state, and its round trip through the page URL state */
+
+// Page state keys need a namespace prefix; c__ is the default namespace
+const URL_KEYS = {
+    searchTerm: 'c__search',
+    families: 'c__families',
+    minPrice: 'c__minPrice',
+    maxPrice: 'c__maxPrice',
+    sortOption: 'c__sort',
+    page: 'c__page',
+    pageCursor: 'c__cursor'
+};
+// Followed by the Product2 field name, e.g. c__facet_Brand__c
+const FACET_KEY_PREFIX = 'c__facet_';
+
+export const DEFAULT_SORT = 'default';
+
+export function emptyFilters() {
+    return { searchTerm: '', families: [], minPrice: null, maxPrice: null, facets: {} };
+}
+
+// Values are encoded one by one so a comma inside a family or brand survives the join
+const joinValues = values => values.map(encodeURIComponent).join(',');
+const splitValues = value => (value ? value.split(',').map(decodeURIComponent).filter(v => v) : []);
+
+const toPrice = value => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/*
+ * Only non-default values are written, so an unfiltered catalog leaves the URL alone.
+ * pageCursor is the getProductPage cursor that reads the page; a page is only kept with its cursor.
+ */
+export function toUrlState(filters, sortOption, page, pageCursor) {
+    const state = {};
+    if (filters.searchTerm) {
+        state[URL_KEYS.searchTerm] = filters.searchTerm;
+    }
+    if (filters.families.length) {
+        state[URL_KEYS.families] = joinValues(filters.families);
+    }
+    if (filters.minPrice !== null) {
+        state[URL_KEYS.minPrice] = String(filters.minPrice);
+    }
+    if (filters.maxPrice !== null) {
+        state[URL_KEYS.maxPrice] = String(filters.maxPrice);
+    }
+    Object.keys(filters.facets).forEach(field => {
+        if (filters.facets[field].length) {
+            state[FACET_KEY_PREFIX + field] = joinValues(filters.facets[field]);
+        }
+    });
+    if (sortOption && sortOption !== DEFAULT_SORT) {
+        state[URL_KEYS.sortOption] = sortOption;
+    }
+    if (page > 1 && pageCursor) {
+        state[URL_KEYS.page] = String(page);
+        state[URL_KEYS.pageCursor] = pageCursor;
+    }
+    return state;
+}
+
+/* Reads what toUrlState wrote; unreadable values fall back to the defaults */
+export function fromUrlState(state = {}) {
+    try {
+        return readUrlState(state);
+    } catch (error) {
+        // A hand-edited link can carry a broken escape such as %E0%A4%A
+        if (error instanceof URIError) {
+            return { filters: emptyFilters(), sortOption: DEFAULT_SORT, page: 1, pageCursor: null };
+        }
+        throw error;
+    }
+}
+
+function readUrlState(state) {
+    const facets = {};
+    Object.keys(state)
+        .filter(key => key.startsWith(FACET_KEY_PREFIX))
+        .forEach(key => {
+            facets[key.substring(FACET_KEY_PREFIX.length)] = splitValues(state[key]);
+        });
+    const page = parseInt(state[URL_KEYS.page], 10);
+    const pageCursor = state[URL_KEYS.pageCursor] || null;
+    const hasPage = page > 1 && !!pageCursor;
+    return {
+        filters: {
+            searchTerm: state[URL_KEYS.searchTerm] || '',
+            families: splitValues(state[URL_KEYS.families]),
+            minPrice: toPrice(state[URL_KEYS.minPrice]),
+            maxPrice: toPrice(state[URL_KEYS.maxPrice]),
+            facets
+        },
+        sortOption: state[URL_KEYS.sortOption] || DEFAULT_SORT,
+        page: hasPage ? page : 1,
+        pageCursor: hasPage ? pageCursor : null
+    };
+}
+
+/* Page state that belongs to someone else (e.g. the record page tab) */
+export function withoutCatalogState(state = {}) {
+    const kept = {};
+    const ownKeys = Object.values(URL_KEYS);
+    Object.keys(state)
+        .filter(key => !ownKeys.includes(key) && !key.startsWith(FACET_KEY_PREFIX))
+        .forEach(key => {
+            kept[key] = state[key];
+        });
+    return kept;
+}
+
+export function hasFilters(filters) {
+    return !!filters.searchTerm || filters.families.length > 0 ||
+        filters.minPrice !== null || filters.maxPrice !== null ||
+        Object.values(filters.facets).some(values => values.length > 0);
+}
+
+/*
+ * One removable chip per active filter value. facetLabels maps a facet field to its label;
+ * formatPrice renders the price range.
+ */
+export function filterChips(filters, facetLabels = {}, formatPrice = String) {
+    const chips = [];
+    if (filters.searchTerm) {
+        chips.push({ key: 'search', type: 'search', label: `"${filters.searchTerm}"` });
+    }
+    filters.families.forEach(family => {
+        chips.push({ key: `family-${family}`, type: 'family', value: family, label: family });
+    });
+    if (filters.minPrice !== null || filters.maxPrice !== null) {
+        let label = `${formatPrice(filters.minPrice)} – ${formatPrice(filters.maxPrice)}`;
+        if (filters.maxPrice === null) {
+            label = `From ${formatPrice(filters.minPrice)}`;
+        } else if (filters.minPrice === null) {
+            label = `Up to ${formatPrice(filters.maxPrice)}`;
+        }
+        chips.push({ key: 'price', type: 'price', label });
+    }
+    Object.keys(filters.facets).forEach(field => {
+        filters.facets[field].forEach(value => {
+            chips.push({
+                key: `facet-${field}-${value}`,
+                type: 'facet',
+                field,
+                value,
+                label: `${facetLabels[field] || field}: ${value}`
+            });
+        });
+    });
+    return chips;
+}
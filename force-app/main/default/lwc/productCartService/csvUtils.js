@@ -0,0 +1,69 @@
+/* CSV helpers for bulk entry and cart export */
+
+const SEPARATOR = /[,;\t]/;
+
+const unquote = value => value.trim().replace(/^"(.*)"$/, '$1').trim();
+
+/*
+ * Parses "productCode,qty" rows (comma, semicolon or tab separated, as pasted from a
+ * spreadsheet or read from a CSV file). A leading header row is skipped.
+ * Rows with the same code are merged and reported as duplicates.
+ */
+export function parseQuantityList(text) {
+    const rowsByCode = new Map();
+    const invalid = [];
+    const duplicates = new Set();
+
+    (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+        const [rawCode = '', rawQty = ''] = line.split(SEPARATOR);
+        const code = unquote(rawCode);
+        const qtyText = unquote(rawQty);
+        const qty = Number(qtyText);
+        const lineNumber = index + 1;
+
+        if (rowsByCode.size === 0 && invalid.length === 0 && qtyText && isNaN(qty)) {
+            // Header row such as "productCode,qty"
+            return;
+        }
+        if (!code || !qtyText || !Number.isFinite(qty) || qty <= 0) {
+            invalid.push({ lineNumber, code, value: qtyText, key: `invalid-${lineNumber}` });
+            return;
+        }
+
+        const codeKey = code.toUpperCase();
+        if (rowsByCode.has(codeKey)) {
+            duplicates.add(code);
+            rowsByCode.get(codeKey).qty += qty;
+        } else {
+            rowsByCode.set(codeKey, { code, qty, lineNumber });
+        }
+    });
+
+    return {
+        rows: Array.from(rowsByCode.values()),
+        invalid,
+        duplicates: Array.from(duplicates)
+    };
+}
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_START = /^[=+\-@]/;
+
+const escapeCell = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/* Builds CSV text from a header row and an array of row arrays */
+export function toCsv(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\r\n');
+}
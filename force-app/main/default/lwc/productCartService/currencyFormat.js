@@ -0,0 +1,23 @@
+/* Money formatting in the running user's locale for the record's currency */
+import LOCALE from '@salesforce/i18n/locale';
+
+// Intl.NumberFormat instances are costly to build, so one is kept per currency
+const formatters = new Map();
+
+function formatterFor(currencyIso) {
+    const key = currencyIso || '';
+    if (!formatters.has(key)) {
+        formatters.set(key, currencyIso
+            ? new Intl.NumberFormat(LOCALE, { style: 'currency', currency: currencyIso })
+            : new Intl.NumberFormat(LOCALE, { maximumFractionDigits: 2 }));
+    }
+    return formatters.get(key);
+}
+
+/* Empty for a missing amount; a plain number until the currency is known */
+export function formatMoney(value, currencyIso) {
+    if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) {
+        return '';
+    }
+    return formatterFor(currencyIso).format(Number(value));
+}
@@ -0,0 +1,45 @@
+/* Bounds and checks for unit prices typed in by users with the Product Cart Price Override permission */
+
+const isSet = value => value !== null && value !== undefined;
+
+// Rounded to the cent the same way ProductCartService rounds the bound
+const percentOf = (price, percent) => Math.round(price * percent) / 100;
+
+export function hasPriceOverride(line) {
+    return isSet(line.overridePrice);
+}
+
+/* Lowest and highest unit price allowed against a list price; a null bound means no limit */
+export function priceBounds(listPrice, settings) {
+    const floor = settings.priceOverrideFloorPercent;
+    const ceiling = settings.priceOverrideCeilingPercent;
+    return {
+        floor: isSet(floor) && isSet(listPrice) ? percentOf(listPrice, floor) : null,
+        ceiling: isSet(ceiling) && isSet(listPrice) ? percentOf(listPrice, ceiling) : null
+    };
+}
+
+/* Whether a price sits inside bounds from priceBounds; a pricebook change keeps only such overrides */
+export function isWithinBounds(price, bounds) {
+    return (bounds.floor === null || price >= bounds.floor) && (bounds.ceiling === null || price <= bounds.ceiling);
+}
+
+/*
+ * Mirrors the server-side check so a line is flagged before saving. Returns the problem
+ * with the override, or null when it can be saved. formatPrice renders the bounds.
+ */
+export function checkPriceOverride(price, reason, bounds, formatPrice = String) {
+    if (!Number.isFinite(price) || price < 0) {
+        return 'Enter a unit price of 0 or more';
+    }
+    if (bounds.floor !== null && price < bounds.floor) {
+        return `Unit price cannot be below ${formatPrice(bounds.floor)}`;
+    }
+    if (bounds.ceiling !== null && price > bounds.ceiling) {
+        return `Unit price cannot be above ${formatPrice(bounds.ceiling)}`;
+    }
+    if (!reason || !reason.trim()) {
+        return 'Enter a reason for the price change';
+    }
+    return null;
+}
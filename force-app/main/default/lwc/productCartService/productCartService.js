@@ -1,21 +1,86 @@
 import { LightningElement, api, wire, track } from 'lwc';
 import addProducts from '@salesforce/apex/ProductCartService.addProducts';
+import previewAddProducts from '@salesforce/apex/ProductCartService.previewAddProducts';
 import getPricebooks from '@salesforce/apex/ProductCartService.getPricebooks';
-import getProductsByPricebook from '@salesforce/apex/ProductCartService.getProductsByPricebook';
+import getProductPage from '@salesforce/apex/ProductCartService.getProductPage';
+import getExistingLines from '@salesforce/apex/ProductCartService.getExistingLines';
+import getCartSettings from '@salesforce/apex/ProductCartService.getCartSettings';
+import getProductsByCodes from '@salesforce/apex/ProductCartService.getProductsByCodes';
 import updateParentPricebook
     from '@salesforce/apex/ProductCartService.updateParentPricebook';
+import getRepricedProducts from '@salesforce/apex/ProductCartService.getRepricedProducts';
+import changeParentPricebook from '@salesforce/apex/ProductCartService.changeParentPricebook';
+import getDraft from '@salesforce/apex/ProductCartService.getDraft';
+import saveDraft from '@salesforce/apex/ProductCartService.saveDraft';
+import deleteDraft from '@salesforce/apex/ProductCartService.deleteDraft';
+import getPurchaseHistory from '@salesforce/apex/ProductCartService.getPurchaseHistory';
+import getParentContext from '@salesforce/apex/ProductCartService.getParentContext';
+import getTemplates from '@salesforce/apex/ProductCartTemplateService.getTemplates';
+import saveTemplate from '@salesforce/apex/ProductCartTemplateService.saveTemplate';
+import applyTemplate from '@salesforce/apex/ProductCartTemplateService.applyTemplate';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { RefreshEvent } from 'lightning/refresh';
 import { getRecord } from 'lightning/uiRecordApi';
-import { NavigationMixin } from 'lightning/navigation';
-
-const ORDER_FIELDS = ['Order.Status'];
-const CURRENCY_FIELDS = [
-    'Opportunity.CurrencyIsoCode',
-    'Quote.CurrencyIsoCode',
-    'Order.CurrencyIsoCode'
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { APPLICATION_SCOPE, MessageContext, publish, subscribe, unsubscribe } from 'lightning/messageService';
+import PRODUCT_CART_CHANNEL from '@salesforce/messageChannel/Product_Cart__c';
+import { parseQuantityList, toCsv } from './csvUtils';
+import { checkQuantity, minimumQuantity, roundUpQuantity } from './quantityRules';
+import { formatMoney } from './currencyFormat';
+import { checkPriceOverride, hasPriceOverride, isWithinBounds, priceBounds } from './priceOverrideRules';
+import {
+    DEFAULT_SORT,
+    emptyFilters,
+    filterChips,
+    fromUrlState,
+    hasFilters,
+    toUrlState,
+    withoutCatalogState
+} from './catalogFilters';
+
+// Number of page buttons shown around the current page
+const PAGE_WINDOW = 5;
+
+// Card badge per ProductCartService stock status
+const STOCK_BADGES = {
+    IN_STOCK: { label: 'In stock', className: 'stock-badge stock-in' },
+    LOW_STOCK: { label: 'Low stock', className: 'stock-badge stock-low' },
+    OUT_OF_STOCK: { label: 'Out of stock', className: 'stock-badge stock-out' }
+};
+
+// Sections of the pre-save preview, in display order
+const PREVIEW_GROUPS = [
+    { key: 'parent', status: 'INSERTED', source: 'PARENT_PRICEBOOK', title: 'Added from the record\'s price book' },
+    { key: 'fallback', status: 'INSERTED', source: 'FALLBACK_PRICEBOOK', title: 'Added from the fallback price book' },
+    { key: 'updated', status: 'UPDATED', title: 'Updated on the record' },
+    { key: 'deleted', status: 'DELETED', title: 'Removed from the record' },
+    { key: 'skipped', status: 'SKIPPED', title: 'Will be dropped' }
 ];
 
+const DEFAULT_PAGE_SIZE = 6;
+// Mirrors the page size cap in ProductCartService.getProductPage
+const MAX_PAGE_SIZE = 200;
+
+// Values of the postSaveNavigation design attribute
+const NAVIGATE_RELATED = 'Related Tab';
+const NAVIGATE_DETAILS = 'Record Details';
+
+// Values of the layout design attribute; the Add Products quick action always uses compact
+const LAYOUT_COMPACT = 'Compact';
+
+// Most products the comparison view lines up side by side
+const MAX_COMPARE = 4;
+
+// Browser storage key prefix for draft carts; the record and pricebook ids are appended
+const DRAFT_STORAGE_PREFIX = 'productCartDraft:';
+
+// Product Cart message channel types: published by the cart, and commands it accepts
+const MESSAGE_CART_CHANGED = 'CART_CHANGED';
+const MESSAGE_ADD = 'ADD';
+const MESSAGE_REMOVE = 'REMOVE';
+const MESSAGE_CLEAR = 'CLEAR';
+
 export default class ProductCartService extends NavigationMixin(LightningElement) {
     isLoading = false;
     productSearchDebounceTimer;
@@ -24,9 +89,31 @@ export default class ProductCartService extends NavigationMixin(LightningElement
 
     @api recordId;
 
+    /* APP BUILDER PROPERTIES */
+    // Pricebook picked on load; blank falls back to the org's fallback pricebook, then the first one
+    @api defaultPricebookName;
+    @api manualPricebookSelection = false;
+    @api pageSize = DEFAULT_PAGE_SIZE;
+    // Comma-separated product families shown as category filters; blank shows every family
+    @api visibleFamilies;
+    @api postSaveNavigation = NAVIGATE_RELATED;
+    // Pricebooks with no entries in the record's currency are hidden instead of badged
+    @api hideEmptyPricebooks = false;
+    @api layout;
+
+    /* FLOW SCREEN PROPERTIES */
+    // Only set by the flow runtime, so it tells a flow screen apart from a record page
+    @api availableActions;
+    // Leaves saving to the flow: the cart is only handed over through the outputs below
+    @api deferSave = false;
+    @api selectedLines;
+    @api selectedLinesJson;
+
     @track pricebookOptions = [];
     @track allPricebooksData = [];
     @track selectedPricebookId;
+    // Pricebook the cart is currently priced in; kept while the user browses other pricebooks
+    activePricebookId;
     parentCurrency;
     pricebookSearchTerm = '';
     showAllPricebooks = false;
@@ -37,10 +124,253 @@ export default class ProductCartService extends NavigationMixin(LightningElement
 
     @track products = [];
     @track filteredProducts = [];
-    @track cart = [];
+    @track cartLines = [];
+    existingLines = [];
+    removedLineIds = [];
+    unsavedLines = [];
+    cartDiscount = 0;
+
+    /* SAVE STATE */
+    isSaving = false;
+    previewResult = null;
+    saveResult = null;
+
+    @wire(MessageContext)
+    messageContext;
+    cartSubscription;
 
     connectedCallback() {
+        if (this.isCompact) {
+            this.classList.add('layout-compact');
+        }
         // Will auto-init once both pricebooks and currency are loaded
+        this.existingLinesLoaded = this.loadExistingLines();
+        this.cartSubscription = subscribe(
+            this.messageContext,
+            PRODUCT_CART_CHANNEL,
+            message => this.handleCartMessage(message),
+            { scope: APPLICATION_SCOPE }
+        );
+    }
+
+    disconnectedCallback() {
+        unsubscribe(this.cartSubscription);
+        this.cartSubscription = null;
+    }
+
+    /* Every cart change is mirrored to the browser draft and announced to companion components */
+    get cart() {
+        return this.cartLines;
+    }
+
+    set cart(value) {
+        this.cartLines = value;
+        this.persistDraft();
+        this.notifyCartChange();
+    }
+
+    /* PUBLIC CART API: for companion components such as a mini cart or a totals header */
+
+    /*
+     * Adds a product from the active pricebook. Products not on the current page are
+     * looked up on the server. Resolves to false when the product could not be added.
+     */
+    @api
+    addProduct(productId, quantity) {
+        if (!this.activePricebookId) {
+            this.showToast('Error', 'Select a price book before adding products', 'error');
+            return Promise.resolve(false);
+        }
+        const loaded = this.products.find(p => p.productId === productId);
+        const lookup = loaded
+            ? Promise.resolve([loaded])
+            : getRepricedProducts({
+                pricebookId: this.activePricebookId,
+                currencyIso: this.parentCurrency,
+                productIds: [productId]
+            });
+
+        return lookup
+        .then(found => {
+            const product = found && found[0];
+            if (!product) {
+                this.showToast('Error', 'Product is not available in this price book', 'error');
+                return false;
+            }
+            return this.mergeIntoCart(product, quantity || minimumQuantity(product)).isAdded;
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+            return false;
+        });
+    }
+
+    /* Plain copy of the cart; the same snapshot is sent with cartchange and CART_CHANGED */
+    @api
+    getCart() {
+        return {
+            recordId: this.recordId,
+            currencyIsoCode: this.parentCurrency,
+            lineCount: this.cart.length,
+            grossAmount: this.grossAmount,
+            totalAmount: this.totalAmount,
+            cartDiscount: this.cartDiscount,
+            hasUnsavedChanges: this.hasUnsavedChanges,
+            lines: this.cart.map(c => ({
+                key: c.key,
+                lineId: c.lineId,
+                productId: c.productId,
+                name: c.name,
+                productCode: c.productCode,
+                quantity: c.qty,
+                unitPrice: c.price,
+                discount: c.effectiveDiscount,
+                total: c.total,
+                isBackorder: !!c.isBackorder
+            }))
+        };
+    }
+
+    /* Discards unsaved changes, like Clear Cart */
+    @api
+    clear() {
+        this.resetCartToRecord();
+        this.clearStoredDraft();
+    }
+
+    notifyCartChange() {
+        const cart = this.getCart();
+        this.dispatchEvent(new CustomEvent('cartchange', { detail: cart }));
+        publish(this.messageContext, PRODUCT_CART_CHANNEL, {
+            type: MESSAGE_CART_CHANGED,
+            recordId: this.recordId,
+            cart
+        });
+        if (this.isFlowScreen) {
+            this.updateFlowOutputs(cart);
+        }
+    }
+
+    /* FLOW SCREEN AND QUICK ACTION MODES */
+    get isFlowScreen() {
+        return Array.isArray(this.availableActions);
+    }
+
+    get isCompact() {
+        return this.layout === LAYOUT_COMPACT;
+    }
+
+    get isSaveDeferred() {
+        return this.isFlowScreen && this.deferSave;
+    }
+
+    /*
+     * selectedLines is a ProductCartFlowLine collection for flow logic; selectedLinesJson is the
+     * save request that the Add Products to Record flow action (ProductCartFlowActions) accepts.
+     */
+    updateFlowOutputs(cart) {
+        const { lines, removedLineIds } = this.buildSaveRequest();
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedLines', cart.lines.map(l => ({
+            lineId: l.lineId,
+            productId: l.productId,
+            name: l.name,
+            productCode: l.productCode,
+            quantity: l.quantity,
+            unitPrice: l.unitPrice,
+            discount: l.discount,
+            total: l.total
+        }))));
+        this.dispatchEvent(new FlowAttributeChangeEvent('selectedLinesJson', JSON.stringify({ lines, removedLineIds })));
+    }
+
+    /* Called by the flow runtime before it moves on from the screen */
+    @api
+    validate() {
+        if (this.isSaveDeferred && (this.hasQtyIssues || this.hasPriceIssues ||
+            (this.hasDiscountAboveMax && !this.discountNeedsApproval))) {
+            return { isValid: false, errorMessage: 'Fix the highlighted cart lines before continuing.' };
+        }
+        if (!this.isSaveDeferred && this.hasUnsavedChanges) {
+            return { isValid: false, errorMessage: 'Save the cart or clear your changes before continuing.' };
+        }
+        return { isValid: true };
+    }
+
+    /* Commands must name this record, so carts on other open records ignore them */
+    handleCartMessage(message) {
+        if (!message || message.recordId !== this.recordId) {
+            return;
+        }
+        if (message.type === MESSAGE_ADD) {
+            this.addProduct(message.productId, message.quantity);
+        } else if (message.type === MESSAGE_REMOVE) {
+            const item = this.cart.find(c => c.productId === message.productId);
+            if (item && this.assertEditable()) {
+                this.removeCartLine(item.key);
+            }
+        } else if (message.type === MESSAGE_CLEAR) {
+            this.clear();
+        }
+    }
+
+    /* EXISTING RECORD LINES */
+    loadExistingLines() {
+        if (!this.recordId) {
+            return Promise.resolve();
+        }
+        return getExistingLines({ parentId: this.recordId })
+        .then(data => {
+            const kitLineIds = new Set((data || []).filter(l => l.kitLineId).map(l => l.kitLineId));
+            this.existingLines = (data || []).map(l => ({
+                key: l.lineId,
+                lineId: l.lineId,
+                productId: l.productId,
+                name: l.name,
+                productCode: l.productCode,
+                qty: l.quantity,
+                price: l.unitPrice,
+                recordQty: l.quantity,
+                // A hand-set price is not kept once its override is taken off
+                recordPrice: l.priceReason ? null : l.unitPrice,
+                entryPrice: l.entryPrice,
+                priceTiers: l.priceTiers,
+                minQuantity: l.minQuantity,
+                quantityIncrement: l.quantityIncrement,
+                quantityUnitOfMeasure: l.quantityUnitOfMeasure,
+                discount: l.discount || 0,
+                availableQuantity: l.availableQuantity,
+                isBackorder: l.isBackorder,
+                // A reason on the record line means its price was set by hand
+                overridePrice: l.priceReason ? l.unitPrice : null,
+                priceReason: l.priceReason || '',
+                ...this.kitLock(l, kitLineIds),
+                isExisting: true
+            }));
+            this.resetCartToRecord();
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        });
+    }
+
+    /*
+     * Saved kits and their included components come back as separate record lines. Their quantities
+     * and prices stay as saved (the server refuses changes too); the kit is removed as a whole.
+     */
+    kitLock(line, kitLineIds) {
+        if (line.kitLineId) {
+            return { kitLineId: line.kitLineId, isKitLocked: true, kitNote: `Included with ${line.kitName}` };
+        }
+        if (kitLineIds.has(line.lineId)) {
+            return { isKitLocked: true, kitNote: 'Kit: remove it and add it again to change the quantity' };
+        }
+        return { isKitLocked: false };
+    }
+
+    resetCartToRecord() {
+        this.cartDiscount = 0;
+        this.removedLineIds = [];
+        this.cart = this.existingLines.map(l => this.priceLine(l));
     }
 
     autoInitStandardPricebook() {
@@ -48,6 +378,9 @@ export default class ProductCartService extends NavigationMixin(LightningElement
             console.log('Already initialized, skipping auto-init');
             return;
         }
+        if (this.manualPricebookSelection) {
+            return;
+        }
         if (!this.allPricebooksData || !this.parentCurrency) {
             console.log('Cannot auto-init yet', {
                 hasPricebooks: !!this.allPricebooksData,
@@ -56,21 +389,32 @@ export default class ProductCartService extends NavigationMixin(LightningElement
             return;
         }
         
-        console.log('Auto-initializing AMERP Pricebook...');
-        // Try to find pricebook named AMERP Pricebook
-        let pbToSelect = this.allPricebooksData.find(p => p.Name === 'AMERP Pricebook');
-        
-        // Fallback: use first pricebook if AMERP not found
-        if (!pbToSelect && this.allPricebooksData.length > 0) {
-            pbToSelect = this.allPricebooksData[0];
+        const defaultName = this.defaultPricebookName || this.cartSettings.fallbackPricebookName;
+        console.log('Auto-initializing pricebook...', defaultName);
+        // The record's own pricebook comes first, so the pricebook change guard compares against it
+        let pbToSelect = this.parentPricebookId
+            ? this.allPricebooksData.find(p => p.pricebookId === this.parentPricebookId) ||
+                { pricebookId: this.parentPricebookId }
+            : null;
+
+        // Records without a pricebook start on the configured default
+        if (!pbToSelect) {
+            pbToSelect = this.allPricebooksData.find(p => p.name === defaultName);
+        }
+
+        // Fallback: the most relevant pricebook with products in the record's currency
+        if (!pbToSelect) {
+            pbToSelect = this.allPricebooksData.find(p => !p.isEmpty);
         }
         
 
         
         if (pbToSelect) {
             this.hasInitialized = true;
-            this.selectedPricebookId = pbToSelect.Id;
-            console.log('Selected pricebook:', pbToSelect.Name, 'ID:', pbToSelect.Id, 'IsStandard:', pbToSelect.IsStandard);
+            this.selectedPricebookId = pbToSelect.pricebookId;
+            this.activePricebookId = pbToSelect.pricebookId;
+            this.checkForDraft();
+            console.log('Selected pricebook:', pbToSelect.name, 'ID:', pbToSelect.pricebookId, 'IsStandard:', pbToSelect.isStandard);
             this.loadProducts();
         }
     }
@@ -83,12 +427,66 @@ export default class ProductCartService extends NavigationMixin(LightningElement
     imageScrollInterval = null;
     isImageGalleryHovered = false;
 
+    detailsQtyIssue = null;
+
+    /* The steppers move in pack multiples and never go below the minimum order quantity */
+    get qtyStep() {
+        return this.selectedProduct.quantityIncrement || 1;
+    }
+
     get disableDecrementBtn() {
-        return this.selectedProductQty <= 1;
+        return this.selectedProductQty <= minimumQuantity(this.selectedProduct);
     }
 
     get disableAddDetailsBtn() {
-        return this.isOrderActivated || this.selectedProductQty <= 0;
+        return this.isRecordLocked || this.selectedProductQty <= 0 ||
+            this.maxSelectableQty <= 0 || !!this.detailsQtyIssue;
+    }
+
+    get disableIncrementBtn() {
+        return this.selectedProductQty + this.qtyStep > this.maxSelectableQty;
+    }
+
+    /* e.g. "Min 10 · Packs of 6 · Each" under the quantity selector */
+    get selectedProductQtyRule() {
+        const product = this.selectedProduct;
+        const parts = [];
+        if (product.minQuantity > 0) {
+            parts.push(`Min ${product.minQuantity}`);
+        }
+        if (product.quantityIncrement) {
+            parts.push(`Packs of ${product.quantityIncrement}`);
+        }
+        if (parts.length && product.quantityUnitOfMeasure) {
+            parts.push(product.quantityUnitOfMeasure);
+        }
+        return parts.join(' · ');
+    }
+
+    get maxSelectableQty() {
+        return this.maxAddableQty(this.selectedProduct);
+    }
+
+    /* Largest qty the details or comparison view may add, after what is already in the cart */
+    maxAddableQty(product) {
+        const available = product.availableQuantity;
+        if (this.allowBackorders || available === null || available === undefined) {
+            return Infinity;
+        }
+        const inCart = this.cart
+            .filter(c => c.productId === product.productId)
+            .reduce((sum, c) => sum + c.qty, 0);
+        return Math.max(available - inCart, 0);
+    }
+
+    /* False (with a toast) when qty is more than the stock left to add */
+    isQtyInStock(product, qty) {
+        const max = this.maxAddableQty(product);
+        if (qty > max) {
+            this.showToast('Insufficient Stock', `Only ${max} more of ${product.name} can be added`, 'error');
+            return false;
+        }
+        return true;
     }
 
     get selectedImage() {
@@ -110,32 +508,106 @@ export default class ProductCartService extends NavigationMixin(LightningElement
     }
 
     /* PRODUCT FILTERING & PAGINATION */
-    productSearchTerm = '';
-    selectedCategory = 'All Products';
-    sortOption = 'default';
+    // Search term, families, price range and facet values; see catalogFilters
+    filters = emptyFilters();
+    sortOption = DEFAULT_SORT;
     currentPage = 1;
-    productsPerPage = 6;
+    // getProductPage cursor per page, index 0 being page 1; only pages with a known cursor can be opened
+    pageCursors = [null];
+    totalProductCount = 0;
+    availableFamilies = [];
+    familyCounts = [];
+    facets = [];
+    minAvailablePrice = null;
+    maxAvailablePrice = null;
+    productRequestId = 0;
+
+    /* CATALOG STATE IN THE PAGE URL, so a filtered catalog can be shared as a link */
+    pageRef;
+    isUrlStateRestored = false;
+
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageRef = pageRef;
+        if (!pageRef || this.isUrlStateRestored || !this.syncsUrlState) {
+            return;
+        }
+        this.isUrlStateRestored = true;
+        const restored = fromUrlState(pageRef.state);
+        this.filters = restored.filters;
+        this.sortOption = restored.sortOption;
+        this.currentPage = restored.page;
+        const pageCursors = [null];
+        pageCursors[restored.page - 1] = restored.pageCursor;
+        this.pageCursors = pageCursors;
+        const isCatalogStateRestored =
+            Object.keys(toUrlState(this.filters, this.sortOption, this.currentPage, this.pageCursor)).length > 0;
+        if (this.selectedPricebookId && isCatalogStateRestored) {
+            this.loadProducts();
+        }
+    }
+
+    /* The flow screen and the quick action share their page with other components */
+    get syncsUrlState() {
+        return !this.isFlowScreen && !this.isCompact;
+    }
+
+    syncUrlState() {
+        if (!this.pageRef || !this.syncsUrlState) {
+            return;
+        }
+        const current = this.pageRef.state || {};
+        const state = {
+            ...withoutCatalogState(current),
+            ...toUrlState(this.filters, this.sortOption, this.currentPage, this.pageCursor)
+        };
+        if (JSON.stringify(state) === JSON.stringify(current)) {
+            return;
+        }
+        // Replaces the history entry so each filter click does not add a back-button step
+        this[NavigationMixin.Navigate]({ ...this.pageRef, state }, true);
+    }
 
     showCartModal = false;
     cartMode = 'EDIT';
-    orderStatus;
 
-    /* ORDER STATUS */
-    @wire(getRecord, { recordId: '$recordId', fields: ORDER_FIELDS })
-    wiredOrder({ data }) {
+    /* PARENT RECORD: name, currency and lock fields come from the Product Cart Parent registry */
+    parentContext;
+    parentFields;
+    parentError;
+    parentLockStatus;
+    parentPricebookId;
+
+    @wire(getParentContext, { parentId: '$recordId' })
+    wiredParentContext({ data, error }) {
         if (data) {
-            this.orderStatus = data.fields.Status.value;
+            this.parentContext = data;
+            this.parentFields = data.recordFields;
+            this.parentError = null;
+        } else if (error) {
+            // e.g. the component was placed on an object without a registry record
+            this.parentError = this.getErrorMessage(error);
         }
     }
 
-    /* CURRENCY */
-    @wire(getRecord, { recordId: '$recordId', fields: CURRENCY_FIELDS })
-    wiredCurrency({ data }) {
-        if (data) {
-            this.parentCurrency = data.fields.CurrencyIsoCode.value;
+    @wire(getRecord, { recordId: '$recordId', optionalFields: '$parentFields' })
+    wiredParent({ data }) {
+        if (!data || !this.parentContext) {
+            return;
+        }
+        const { nameField, currencyField, lockField, pricebookField } = this.parentContext;
+        const fieldValue = field => (field && data.fields[field] ? data.fields[field].value : null);
+
+        this.parentRecordName = fieldValue(nameField) || '';
+        this.parentLockStatus = fieldValue(lockField);
+        this.parentPricebookId = fieldValue(pricebookField);
+
+        const currency = fieldValue(currencyField);
+        if (currency && currency !== this.parentCurrency) {
+            this.parentCurrency = currency;
             console.log('Currency loaded:', this.parentCurrency);
             this.autoInitStandardPricebook();
-            
+
             /* if pricebook already selected reload products */
             if (this.selectedPricebookId) {
                 console.log('Pricebook already selected, reloading products');
@@ -144,14 +616,73 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         }
     }
 
+    /* Why the record is read-only, or null. The same rules are enforced on the server when saving */
+    get lockReason() {
+        if (!this.parentContext) {
+            return null;
+        }
+        const { objectLabel, canEdit, lockValues } = this.parentContext;
+        if (canEdit === false) {
+            return `You do not have edit access to this ${objectLabel}.`;
+        }
+        if ((lockValues || []).includes(this.parentLockStatus)) {
+            return `Products cannot be changed while the ${objectLabel} is ${this.parentLockStatus}.`;
+        }
+        return null;
+    }
+
+    get isRecordLocked() {
+        return !!this.lockReason;
+    }
+
+    /* Every handler that changes the cart or the record checks this first */
+    assertEditable() {
+        if (this.isRecordLocked) {
+            this.showToast('Read Only', this.lockReason, 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    /* INVENTORY SETTINGS */
+    cartSettings = {};
+
+    @wire(getCartSettings)
+    wiredCartSettings({ data }) {
+        if (data) {
+            this.cartSettings = data;
+        }
+    }
+
+    get allowBackorders() {
+        return !!this.cartSettings.allowBackorders;
+    }
+
+    get maxDiscountPercent() {
+        const max = this.cartSettings.maxDiscountPercent;
+        return max === null || max === undefined ? null : max;
+    }
+
+    get discountNeedsApproval() {
+        return this.cartSettings.discountAboveMax === 'Approval';
+    }
+
+    get canOverridePrice() {
+        return !!this.cartSettings.canOverridePrice;
+    }
+
+    /* PARENT RECORD NAME (quote sheet / export file name) */
+    parentRecordName = '';
+
     /* PRICEBOOKS */
-    @wire(getPricebooks)
+    /* Sorted on the server: pricebooks with entries in the record's currency, then by use on the account */
+    @wire(getPricebooks, { parentId: '$recordId' })
     wiredPB({ data }) {
         if (data) {
             console.log('Pricebooks loaded:', data);
-            this.allPricebooksData = data;
+            this.allPricebooksData = data.map(p => this.toPricebookCard(p));
             this.pricebookOptions =
-                data.map(p => ({ label: p.Name, value: p.Id }));
+                data.map(p => ({ label: p.name, value: p.pricebookId }));
             
             // Try to auto-init Standard pricebook
             this.autoInitStandardPricebook();
@@ -184,8 +715,28 @@ export default class ProductCartService extends NavigationMixin(LightningElement
 
     selectPricebook(event) {
         const pricebookId = event.currentTarget.dataset.pbid;
-        this.selectedPricebookId = pricebookId;
         this.showAllPricebooks = false;
+
+        if (pricebookId === this.activePricebookId) {
+            if (pricebookId !== this.selectedPricebookId) {
+                this.resetPaging();
+            }
+            this.selectedPricebookId = pricebookId;
+            this.loadProducts();
+            return;
+        }
+        // Browsing the record's own pricebook is fine; switching it would update the record
+        if (!this.assertEditable()) {
+            return;
+        }
+        // Lines priced in the old pricebook need the user's go-ahead before they move
+        if (this.cart.length > 0 || this.existingLines.length > 0) {
+            this.openPricebookChange(pricebookId);
+            return;
+        }
+
+        const previousPricebookId = this.selectedPricebookId;
+        this.selectedPricebookId = pricebookId;
         this.isLoading = true; // Set loading immediately for better UX
 
         updateParentPricebook({
@@ -194,173 +745,1030 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         })
         .then(() => {
             // Pricebook updated successfully, now load products
+            this.activePricebookId = pricebookId;
+            this.clearCompare();
+            this.checkForDraft();
+            this.resetPaging();
             this.loadProducts();
         })
         .catch(error => {
-            // Only log error, don't show toast for empty pricebooks
-            console.error('Error updating pricebook:', error);
+            // e.g. the record was locked since the cart loaded
+            this.selectedPricebookId = previousPricebookId;
+            this.showToast('Error', this.getErrorMessage(error), 'error');
             this.isLoading = false;
         });
     }
 
-    handleBackToPricebooks() {
-        this.selectedPricebookId = null;
-        this.pricebookSearchTerm = '';
-        this.showAllPricebooks = false;
-        this.productSearchTerm = '';
-        this.selectedCategory = 'All Products';
-        this.currentPage = 1;
-        this.products = [];
-        this.filteredProducts = [];
-        this.cart = [];
-    }
+    /* PRICEBOOK CHANGE WITH LINES IN THE CART OR ON THE RECORD */
+    pricebookChange = null;
+    isChangingPricebook = false;
 
-    /* PRODUCT SEARCH & FILTERING */
-    handleProductSearch(event) {
-        clearTimeout(this.productSearchDebounceTimer);
-        const searchTerm = event.target.value.toLowerCase();
-        
-        // Debounce the search to avoid excessive filtering
-        this.productSearchDebounceTimer = setTimeout(() => {
-            this.productSearchTerm = searchTerm;
-            this.currentPage = 1;
-        }, 300);
-    }
+    openPricebookChange(pricebookId) {
+        const productIds = [...new Set(this.cart.map(c => c.productId))];
+        this.isLoading = true;
 
-    handleCategoryFilter(event) {
-        this.selectedCategory = event.currentTarget.dataset.category;
-        this.currentPage = 1;
-        
-        // Auto-scroll to products section with smooth slow timing
-        setTimeout(() => {
-            const productsContainer = this.template.querySelector('.products-container');
-            if (productsContainer) {
-                productsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            }
-        }, 300);
+        getRepricedProducts({
+            pricebookId,
+            currencyIso: this.parentCurrency,
+            productIds
+        })
+        .then(data => {
+            const priceMap = new Map((data || []).map(p => [p.productId, p]));
+            const pb = this.allPricebooksData.find(p => p.pricebookId === pricebookId);
+            this.pricebookChange = {
+                pricebookId,
+                pricebookName: pb ? pb.name : '',
+                priceMap,
+                lines: this.cart.map(c => ({
+                    key: c.key,
+                    name: c.name,
+                    qty: c.qty,
+                    oldPrice: this.money(c.price),
+                    newPrice: priceMap.has(c.productId)
+                        ? this.money(this.tierPrice(priceMap.get(c.productId), c.qty))
+                        : undefined,
+                    isMissing: !priceMap.has(c.productId),
+                    rowClass: priceMap.has(c.productId) ? '' : 'missing-line'
+                }))
+            };
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isLoading = false;
+        });
     }
 
-    handleSort(event) {
-        this.sortOption = event.currentTarget.value;
-        this.currentPage = 1;
+    get pricebookChangeMissingCount() {
+        return this.pricebookChange
+            ? this.pricebookChange.lines.filter(l => l.isMissing).length
+            : 0;
+    }
 
-        // Auto-scroll to products section with smooth slow timing
-        setTimeout(() => {
-            const productsContainer = this.template.querySelector('.products-container');
-            if (productsContainer) {
-                productsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            }
-        }, 300);
+    get hasRecordLines() {
+        return this.existingLines.length > 0;
     }
 
-    getCategoryIcon(categoryName) {
-        const iconMap = {
-            'Finished Good': '📦',
-            'Trading Good': '🏪',
-            'Raw Material': '⚙️',
-            'Warranty': '🛡️',
-            'Semi Finished Good': '🔧',
-            'Consumable': '💧',
-            'Packaging': '📫',
-            'Service': '🔧',
-            'All Products': '🛍️'
-        };
-        return iconMap[categoryName] || '📦';
+    cancelPricebookChange() {
+        this.pricebookChange = null;
     }
 
-    get categories() {
-        // Predefined product family categories
-        const predefinedCategories = [
-            'Finished Good',
-            'Trading Good',
-            'Raw Material',
-            'Warranty',
-            'Semi Finished Good',
-            'Consumable',
-            'Packaging',
-            'Service'
-        ];
-        
-        const categorySet = new Set(['All Products']);
-        
-        // Add predefined categories
-        predefinedCategories.forEach(cat => categorySet.add(cat));
-        
-        // Also add any ProductFamily from actual products (in case there are custom ones)
-        if (this.products && this.products.length > 0) {
-            this.products.forEach(p => {
-                if (p.ProductFamily) {
-                    categorySet.add(p.ProductFamily);
-                }
-            });
+    confirmPricebookChange() {
+        if (!this.assertEditable()) {
+            return;
         }
-        
-        return Array.from(categorySet).sort().map(cat => ({
-            name: cat,
-            icon: this.getCategoryIcon(cat),
-            isActive: cat === this.selectedCategory
-        }));
+        const { pricebookId, priceMap } = this.pricebookChange;
+        const previousCart = this.cart;
+        const previousCartDiscount = this.cartDiscount;
+        this.isChangingPricebook = true;
+
+        const request = this.existingLines.length > 0
+            ? changeParentPricebook({
+                parentId: this.recordId,
+                pricebookId,
+                removedLineIds: this.removedLineIds
+            }).then(result => this.loadExistingLines().then(() => result))
+            : updateParentPricebook({ parentId: this.recordId, pricebookId });
+
+        request
+        .then(result => {
+            // The draft follows the cart into the new pricebook
+            this.clearStoredDraft();
+            this.activePricebookId = pricebookId;
+            this.clearCompare();
+            const droppedOverrides = this.repriceCart(previousCart, previousCartDiscount, priceMap);
+            // Record lines the server left out of the move, plus unsaved lines missing from the new pricebook
+            const dropped = [...new Set([
+                ...(result && result.lines ? result.lines : [])
+                    .filter(l => l.status === 'SKIPPED')
+                    .map(l => l.name),
+                ...this.pricebookChange.lines.filter(l => l.isMissing).map(l => l.name)
+            ])];
+            this.pricebookChange = null;
+            this.selectedPricebookId = pricebookId;
+            this.resetPaging();
+            this.loadProducts();
+            this.dispatchEvent(new RefreshEvent());
+            const warnings = [];
+            if (dropped.length > 0) {
+                warnings.push(`Not in the new price book and removed from the cart: ${dropped.join(', ')}`);
+            }
+            if (droppedOverrides.length > 0) {
+                warnings.push(`Price overrides outside the new price book's limits were removed: ${droppedOverrides.join(', ')}`);
+            }
+            this.showToast(
+                'Price Book Changed',
+                warnings.length > 0 ? warnings.join('. ') : 'Cart re-priced in the new price book',
+                warnings.length > 0 ? 'warning' : 'success'
+            );
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isChangingPricebook = false;
+        });
     }
 
-    get filteredBySearchAndCategory() {
-        let filtered = this.products;
+    /*
+     * Rebuilds the cart after a pricebook change: record lines come back re-inserted with new ids,
+     * so pending qty/discount/price edits are carried over by product; unsaved lines take the new price.
+     * A price override is kept while the new list price still allows it. Returns the names of the
+     * lines whose override was dropped.
+     */
+    repriceCart(previousCart, previousCartDiscount, priceMap) {
+        const pendingEdits = previousCart.filter(c => c.isExisting);
+        const droppedOverrides = [];
+        this.cartDiscount = previousCartDiscount;
+        const carriedOverride = (line, entryPrice) => {
+            if (!hasPriceOverride(line)) {
+                return { overridePrice: null, priceReason: '' };
+            }
+            const hasListPrice = entryPrice !== null && entryPrice !== undefined;
+            if (hasListPrice && isWithinBounds(line.overridePrice, priceBounds(entryPrice, this.cartSettings))) {
+                return { overridePrice: line.overridePrice, priceReason: line.priceReason };
+            }
+            droppedOverrides.push(line.name);
+            return { overridePrice: null, priceReason: '' };
+        };
 
-        // Filter by category
-        if (this.selectedCategory !== 'All Products') {
-            filtered = filtered.filter(p => {
-                // Handle null/undefined ProductFamily
-                const productFamily = p.ProductFamily ? p.ProductFamily.trim() : '';
-                const selectedCategory = this.selectedCategory.trim();
-                return productFamily === selectedCategory;
+        const recordLines = this.existingLines.map(line => {
+            const index = pendingEdits.findIndex(e => e.productId === line.productId);
+            if (index === -1) {
+                return this.priceLine(line);
+            }
+            const [edit] = pendingEdits.splice(index, 1);
+            return this.priceLine({
+                ...line,
+                qty: edit.qty,
+                discount: edit.discount,
+                ...carriedOverride(edit, line.entryPrice)
+            });
+        });
+        const newLines = previousCart
+            .filter(c => !c.isExisting && priceMap.has(c.productId))
+            .map(c => {
+                const product = priceMap.get(c.productId);
+                return this.priceLine({
+                    ...c,
+                    price: product.unitPrice,
+                    entryPrice: product.unitPrice,
+                    priceTiers: product.priceTiers,
+                    ...carriedOverride(c, product.unitPrice),
+                    components: product.isBundle ? this.kitComponents(product, c.components) : c.components
+                });
             });
-        }
 
-        // Filter by search term
-        if (this.productSearchTerm) {
-            filtered = filtered.filter(p =>
-                p.name.toLowerCase().includes(this.productSearchTerm) ||
-                p.productCode.toLowerCase().includes(this.productSearchTerm) ||
-                (p.Brand && p.Brand.toLowerCase().includes(this.productSearchTerm))
-            );
-        }
+        this.removedLineIds = [];
+        this.cart = [...recordLines, ...newLines];
+        return droppedOverrides;
+    }
 
-        // Apply sorting
-        if (this.sortOption === 'price-low') {
-            filtered = filtered.sort((a, b) => a.unitPrice - b.unitPrice);
-        } else if (this.sortOption === 'price-high') {
-            filtered = filtered.sort((a, b) => b.unitPrice - a.unitPrice);
-        } else if (this.sortOption === 'name-asc') {
-            filtered = filtered.sort((a, b) => a.name.localeCompare(b.name));
-        } else if (this.sortOption === 'name-desc') {
-            filtered = filtered.sort((a, b) => b.name.localeCompare(a.name));
-        }
+    /* DRAFT CARTS */
+    draftPrompt = null;
+    // Drafts are only written once any stored draft has been offered, so loading never overwrites one
+    isDraftChecked = false;
+    existingLinesLoaded;
 
-        return filtered;
+    get draftStorageKey() {
+        return this.recordId && this.activePricebookId
+            ? `${DRAFT_STORAGE_PREFIX}${this.recordId}:${this.activePricebookId}`
+            : null;
     }
 
-    get totalPages() {
-        return Math.ceil(this.filteredBySearchAndCategory.length / this.productsPerPage) || 1;
+    get hasUnsavedChanges() {
+        if (this.removedLineIds.length > 0 || this.cartDiscount > 0) {
+            return true;
+        }
+        // A price override is a change too, even when quantity and discount are untouched
+        const overrideOf = line => (hasPriceOverride(line) ? `${line.overridePrice}:${line.priceReason || ''}` : '');
+        return this.cart.some(c => {
+            const original = c.lineId && this.existingLines.find(l => l.lineId === c.lineId);
+            return !original || original.qty !== c.qty || original.discount !== c.discount ||
+                overrideOf(original) !== overrideOf(c);
+        });
     }
 
-    get paginatedProducts() {
-        const start = (this.currentPage - 1) * this.productsPerPage;
-        const end = start + this.productsPerPage;
-        return this.filteredBySearchAndCategory.slice(start, end);
+    buildDraft() {
+        return {
+            savedAt: new Date().toISOString(),
+            cartDiscount: this.cartDiscount,
+            removedLineIds: this.removedLineIds,
+            lines: this.cart.map(c => ({
+                lineId: c.lineId,
+                productId: c.productId,
+                name: c.name,
+                productCode: c.productCode,
+                qty: c.qty,
+                price: c.price,
+                discount: c.discount,
+                overridePrice: c.isPriceOverridden ? c.overridePrice : null,
+                priceReason: c.isPriceOverridden ? c.priceReason : '',
+                components: c.hasComponents
+                    ? c.components.map(k => ({ productId: k.productId, perKitQty: k.perKitQty, isOptional: k.isOptional }))
+                    : undefined
+            }))
+        };
     }
 
-    get hasProductsOnPage() {
-        return this.paginatedProducts && this.paginatedProducts.length > 0;
+    /* Drafts stored before price overrides existed leave the line's own price alone */
+    draftPriceOf(draftLine) {
+        return draftLine.overridePrice === undefined
+            ? {}
+            : { overridePrice: draftLine.overridePrice, priceReason: draftLine.priceReason || '' };
     }
 
-    get canGoPrevious() {
-        return this.currentPage > 1;
+    persistDraft() {
+        if (!this.isDraftChecked || !this.draftStorageKey) {
+            return;
+        }
+        try {
+            if (this.hasUnsavedChanges) {
+                localStorage.setItem(this.draftStorageKey, JSON.stringify(this.buildDraft()));
+            } else {
+                localStorage.removeItem(this.draftStorageKey);
+            }
+        } catch {
+            // Storage may be full or disabled; the server draft still works
+        }
     }
 
-    get canGoNext() {
-        return this.currentPage < this.totalPages;
+    readLocalDraft() {
+        try {
+            return JSON.parse(localStorage.getItem(this.draftStorageKey));
+        } catch {
+            // An unreadable draft is not offered
+            return null;
+        }
     }
 
-    get disablePreviousButton() {
+    /* Offers the newest draft for this record and pricebook, from this browser or the server */
+    checkForDraft() {
+        if (this.isDraftChecked || !this.draftStorageKey) {
+            return;
+        }
+        const localDraft = this.readLocalDraft();
+        const serverDraft = getDraft({ parentId: this.recordId, pricebookId: this.activePricebookId })
+        .then(data => {
+            if (!data) {
+                return null;
+            }
+            return { ...JSON.parse(data.cartJson), savedAt: data.savedAt, savedBy: data.savedBy };
+        })
+        // Without the server copy only this browser's draft is offered
+        .catch(() => null);
+
+        Promise.all([serverDraft, this.existingLinesLoaded])
+        .then(([remoteDraft]) => {
+            const draft = [localDraft, remoteDraft]
+                .filter(d => d && Array.isArray(d.lines))
+                .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))[0];
+
+            if (!draft) {
+                this.isDraftChecked = true;
+                return;
+            }
+            this.draftPrompt = {
+                draft,
+                lineCount: draft.lines.length,
+                savedAt: new Date(draft.savedAt).toLocaleString(),
+                savedBy: draft.savedBy || 'this browser'
+            };
+        });
+    }
+
+    /*
+     * Restores the draft against the record as it is now: record lines deleted since are dropped,
+     * new lines are re-priced from the current pricebook entries or dropped if no longer available.
+     */
+    resumeDraft() {
+        if (!this.assertEditable()) {
+            return;
+        }
+        const { draft } = this.draftPrompt;
+        const newDraftLines = draft.lines.filter(l => !l.lineId);
+
+        getRepricedProducts({
+            pricebookId: this.activePricebookId,
+            currencyIso: this.parentCurrency,
+            productIds: [...new Set(newDraftLines.map(l => l.productId))]
+        })
+        .then(data => {
+            const productMap = new Map((data || []).map(p => [p.productId, p]));
+            const recordLineIds = new Set(this.existingLines.map(l => l.lineId));
+            const edits = new Map(draft.lines.filter(l => l.lineId).map(l => [l.lineId, l]));
+            const removedLineIds = (draft.removedLineIds || []).filter(id => recordLineIds.has(id));
+            let dropped = draft.lines.filter(l => l.lineId && !recordLineIds.has(l.lineId)).length;
+            let repriced = 0;
+
+            this.cartDiscount = draft.cartDiscount || 0;
+            const recordLines = this.existingLines
+                .filter(l => !removedLineIds.includes(l.lineId))
+                .map(l => {
+                    const edit = edits.get(l.lineId);
+                    return this.priceLine(edit ? { ...l, qty: edit.qty, discount: edit.discount, ...this.draftPriceOf(edit) } : l);
+                });
+
+            const newLines = [];
+            newDraftLines.forEach(l => {
+                const product = productMap.get(l.productId);
+                if (!product) {
+                    dropped += 1;
+                    return;
+                }
+                if (!hasPriceOverride(l) && this.tierPrice(product, l.qty) !== l.price) {
+                    repriced += 1;
+                }
+                const available = product.availableQuantity;
+                const components = product.isBundle ? this.kitComponents(product, l.components) : undefined;
+                newLines.push(this.priceLine({
+                    key: this.cartKey(product, components),
+                    lineId: null,
+                    productId: l.productId,
+                    name: l.name,
+                    productCode: l.productCode,
+                    qty: l.qty,
+                    price: product.unitPrice,
+                    entryPrice: product.unitPrice,
+                    priceTiers: product.priceTiers,
+                    components,
+                    minQuantity: product.minQuantity,
+                    quantityIncrement: product.quantityIncrement,
+                    quantityUnitOfMeasure: product.quantityUnitOfMeasure,
+                    discount: l.discount || 0,
+                    ...this.draftPriceOf(l),
+                    availableQuantity: available,
+                    isBackorder: available !== null && available !== undefined && l.qty > available,
+                    isExisting: false
+                }));
+            });
+
+            this.draftPrompt = null;
+            this.isDraftChecked = true;
+            this.removedLineIds = removedLineIds;
+            this.cart = [...recordLines, ...newLines];
+
+            if (repriced > 0 || dropped > 0) {
+                this.showToast(
+                    'Draft Restored',
+                    `${repriced} line(s) re-priced and ${dropped} line(s) no longer available were removed`,
+                    'warning'
+                );
+            } else {
+                this.showToast('Draft Restored', 'Your unsaved cart is back', 'success');
+            }
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        });
+    }
+
+    discardDraft() {
+        this.draftPrompt = null;
+        this.isDraftChecked = true;
+        this.clearStoredDraft();
+    }
+
+    clearStoredDraft() {
+        if (!this.draftStorageKey) {
+            return;
+        }
+        try {
+            localStorage.removeItem(this.draftStorageKey);
+        } catch {
+            // Storage may be disabled; nothing was stored then
+        }
+        deleteDraft({ parentId: this.recordId, pricebookId: this.activePricebookId })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        });
+    }
+
+    /* Server copy so the cart can be resumed from another device or by another user */
+    saveServerDraft() {
+        this.isSaving = true;
+
+        saveDraft({
+            parentId: this.recordId,
+            pricebookId: this.activePricebookId,
+            cartJson: JSON.stringify(this.buildDraft())
+        })
+        .then(() => {
+            this.showToast('Draft Saved', 'This cart can be resumed from any device', 'success');
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isSaving = false;
+        });
+    }
+
+    handleBackToPricebooks() {
+        this.selectedPricebookId = null;
+        this.pricebookSearchTerm = '';
+        this.showAllPricebooks = false;
+        this.filters = emptyFilters();
+        this.sortOption = DEFAULT_SORT;
+        this.resetPaging();
+        this.totalProductCount = 0;
+        this.availableFamilies = [];
+        this.familyCounts = [];
+        this.facets = [];
+        this.syncUrlState();
+        this.products = [];
+        this.filteredProducts = [];
+        this.showBulkPanel = false;
+        this.clearBulk();
+        this.showTemplatePanel = false;
+        this.templateReport = null;
+        this.showReorderPanel = false;
+        // The cart stays as is; it is only re-priced if a different pricebook is picked
+    }
+
+    /* BULK ENTRY */
+    showBulkPanel = false;
+    bulkText = '';
+    bulkReport = null;
+    isCheckingBulk = false;
+
+    toggleBulkPanel() {
+        this.showBulkPanel = !this.showBulkPanel;
+        if (!this.showBulkPanel) {
+            this.clearBulk();
+        }
+    }
+
+    handleBulkTextChange(event) {
+        this.bulkText = event.target.value;
+        this.bulkReport = null;
+    }
+
+    handleBulkFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.bulkText = reader.result;
+            this.bulkReport = null;
+        };
+        reader.onerror = () => {
+            this.showToast('Error', `Could not read ${file.name}`, 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    /* Builds the match report; nothing is added to the cart until addBulkToCart */
+    checkBulkList() {
+        const parsed = parseQuantityList(this.bulkText);
+        if (!parsed.rows.length && !parsed.invalid.length) {
+            this.showToast('Nothing to check', 'Paste or upload "productCode,qty" rows first', 'warning');
+            return;
+        }
+
+        this.isCheckingBulk = true;
+        getProductsByCodes({
+            pricebookId: this.selectedPricebookId,
+            currencyIso: this.parentCurrency,
+            productCodes: parsed.rows.map(r => r.code)
+        })
+        .then(data => {
+            const byCode = new Map(
+                (data || []).map(p => [(p.productCode || '').toUpperCase(), p])
+            );
+            const matched = [];
+            const unmatched = [];
+            parsed.rows.forEach(row => {
+                const product = byCode.get(row.code.toUpperCase());
+                if (product) {
+                    matched.push({
+                        key: `matched-${row.lineNumber}`,
+                        code: row.code,
+                        qty: row.qty,
+                        product
+                    });
+                } else {
+                    unmatched.push({ key: `unmatched-${row.lineNumber}`, code: row.code });
+                }
+            });
+            this.bulkReport = {
+                matched,
+                unmatched,
+                invalid: parsed.invalid,
+                duplicates: parsed.duplicates.map(code => ({ key: `duplicate-${code}`, code }))
+            };
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isCheckingBulk = false;
+        });
+    }
+
+    get disableAddBulk() {
+        return this.isRecordLocked || !this.bulkReport || !this.bulkReport.matched.length;
+    }
+
+    addBulkToCart() {
+        let added = 0;
+        this.bulkReport.matched.forEach(row => {
+            // Same merge + stock rules as the single-product add paths
+            if (this.mergeIntoCart(row.product, row.qty).isAdded) {
+                added += 1;
+            }
+        });
+        if (added) {
+            this.showToast('Success', `${added} product(s) added to cart`, 'success');
+        }
+        this.clearBulk();
+        this.showBulkPanel = false;
+    }
+
+    clearBulk() {
+        this.bulkText = '';
+        this.bulkReport = null;
+    }
+
+    /* REORDER FROM PURCHASE HISTORY */
+    showReorderPanel = false;
+    purchaseHistory = null;
+    reorderPriceMap = new Map();
+    isLoadingHistory = false;
+
+    toggleReorderPanel() {
+        this.showReorderPanel = !this.showReorderPanel;
+        if (this.showReorderPanel) {
+            this.loadPurchaseHistory();
+        }
+    }
+
+    /* History is reloaded on every open so prices follow the currently selected pricebook */
+    loadPurchaseHistory() {
+        this.isLoadingHistory = true;
+
+        getPurchaseHistory({ parentId: this.recordId })
+        .then(history => {
+            const productIds = new Set();
+            history.orders.forEach(o => o.lines.forEach(l => productIds.add(l.productId)));
+            history.frequentProducts.forEach(p => productIds.add(p.productId));
+
+            return getRepricedProducts({
+                pricebookId: this.selectedPricebookId,
+                currencyIso: this.parentCurrency,
+                productIds: [...productIds]
+            })
+            .then(products => {
+                this.reorderPriceMap = new Map((products || []).map(p => [p.productId, p]));
+                this.purchaseHistory = history;
+            });
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isLoadingHistory = false;
+        });
+    }
+
+    /* Past prices stay in the currency they were ordered in */
+    toReorderLine(line, key, qty, lastPrice, lastCurrencyIso) {
+        const product = this.reorderPriceMap.get(line.productId);
+        return {
+            key,
+            productId: line.productId,
+            name: line.name,
+            productCode: line.productCode,
+            qty,
+            lastPrice: formatMoney(lastPrice, lastCurrencyIso),
+            currentPrice: product ? this.money(product.unitPrice) : null,
+            isAvailable: !!product
+        };
+    }
+
+    get reorderOrders() {
+        if (!this.purchaseHistory) {
+            return [];
+        }
+        return this.purchaseHistory.orders.map(o => {
+            const lines = o.lines.map((l, index) =>
+                this.toReorderLine(l, `${o.recordId}-${index}`, l.quantity, l.unitPrice, o.currencyIsoCode));
+            return {
+                ...o,
+                key: o.recordId,
+                totalLabel: formatMoney(o.totalAmount, o.currencyIsoCode),
+                lines,
+                disableAddOrder: this.isRecordLocked || !lines.some(l => l.isAvailable)
+            };
+        });
+    }
+
+    get frequentProducts() {
+        if (!this.purchaseHistory) {
+            return [];
+        }
+        return this.purchaseHistory.frequentProducts.map(p => ({
+            ...this.toReorderLine(p, `frequent-${p.productId}`, p.lastQuantity, p.lastPrice, p.lastCurrencyIsoCode),
+            timesOrdered: p.timesOrdered
+        }));
+    }
+
+    get hasPurchaseHistory() {
+        return !!this.purchaseHistory && this.purchaseHistory.orders.length > 0;
+    }
+
+    /* Adds every line of a past order that is still sold in the selected pricebook */
+    addPastOrder(event) {
+        const order = this.reorderOrders.find(o => o.key === event.currentTarget.dataset.order);
+        let added = 0;
+        let skipped = 0;
+        order.lines.forEach(line => {
+            if (line.isAvailable && this.mergeIntoCart(this.reorderPriceMap.get(line.productId), line.qty).isAdded) {
+                added += 1;
+            } else {
+                skipped += 1;
+            }
+        });
+        this.showToast(
+            'Order Added',
+            skipped > 0
+                ? `${added} product(s) added, ${skipped} not available in this price book`
+                : `${added} product(s) added to cart`,
+            skipped > 0 ? 'warning' : 'success'
+        );
+    }
+
+    addPastLine(event) {
+        const { product, qty } = event.currentTarget.dataset;
+        if (this.mergeIntoCart(this.reorderPriceMap.get(product), Number(qty)).isAdded) {
+            this.showToast('Success', 'Product added to cart', 'success');
+        }
+    }
+
+    /* CART TEMPLATES */
+    showTemplatePanel = false;
+    templates = [];
+    selectedTemplateId = null;
+    templateName = '';
+    templateDescription = '';
+    templateReport = null;
+    isTemplateBusy = false;
+
+    toggleTemplatePanel() {
+        this.showTemplatePanel = !this.showTemplatePanel;
+        this.templateReport = null;
+        if (this.showTemplatePanel) {
+            this.loadTemplates();
+        }
+    }
+
+    loadTemplates() {
+        getTemplates()
+        .then(data => {
+            this.templates = data || [];
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        });
+    }
+
+    get templateOptions() {
+        return this.templates.map(t => ({
+            label: `${t.name} (${t.lineCount} products, ${t.ownerName})`,
+            value: t.templateId
+        }));
+    }
+
+    get hasTemplates() {
+        return this.templates.length > 0;
+    }
+
+    get disableApplyTemplate() {
+        return this.isTemplateBusy || !this.selectedTemplateId || this.isRecordLocked;
+    }
+
+    get disableSaveTemplate() {
+        return this.isTemplateBusy || !this.templateName.trim() || !this.hasCartItems;
+    }
+
+    handleTemplateSelect(event) {
+        this.selectedTemplateId = event.detail.value;
+        this.templateReport = null;
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.target.value || '';
+    }
+
+    handleTemplateDescriptionChange(event) {
+        this.templateDescription = event.target.value || '';
+    }
+
+    /* Template lines are priced against this record the same way addProducts does */
+    applySelectedTemplate() {
+        if (!this.assertEditable()) {
+            return;
+        }
+        this.isTemplateBusy = true;
+
+        applyTemplate({ templateId: this.selectedTemplateId, parentId: this.recordId })
+        .then(lines => {
+            let added = 0;
+            const unavailable = [];
+            (lines || []).forEach((line, index) => {
+                const merge = line.product
+                    ? this.mergeIntoCart(line.product, line.quantity)
+                    : { isAdded: false, message: line.message };
+                if (merge.isAdded) {
+                    added += 1;
+                } else {
+                    unavailable.push({ key: `unavailable-${index}`, name: line.name, message: merge.message });
+                }
+            });
+            this.templateReport = { added, unavailable };
+            this.showToast(
+                'Template Applied',
+                `${added} product(s) added to cart`,
+                unavailable.length ? 'warning' : 'success'
+            );
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isTemplateBusy = false;
+        });
+    }
+
+    saveCartAsTemplate() {
+        this.isTemplateBusy = true;
+
+        saveTemplate({
+            name: this.templateName,
+            description: this.templateDescription,
+            lines: this.cart.map(c => ({ Product2Id: c.productId, Quantity: c.qty }))
+        })
+        .then(templateId => {
+            this.showToast('Template Saved', `"${this.templateName}" is available on every record`, 'success');
+            this.templateName = '';
+            this.templateDescription = '';
+            this.selectedTemplateId = templateId;
+            this.loadTemplates();
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isTemplateBusy = false;
+        });
+    }
+
+    /* PRODUCT SEARCH & FILTERING */
+    handleProductSearch(event) {
+        clearTimeout(this.productSearchDebounceTimer);
+        const searchTerm = event.target.value.toLowerCase();
+        
+        // Debounce the search to avoid excessive server round trips
+        this.productSearchDebounceTimer = setTimeout(() => {
+            this.applyFilters({ searchTerm });
+        }, 300);
+    }
+
+    /* Families are multi-select; All Products clears the family filter */
+    handleCategoryFilter(event) {
+        const family = event.currentTarget.dataset.category;
+        const selected = this.filters.families;
+        let families = [];
+        if (family !== 'All Products') {
+            families = selected.includes(family)
+                ? selected.filter(f => f !== family)
+                : [...selected, family];
+        }
+        this.applyFilters({ families });
+        
+        // Auto-scroll to products section with smooth slow timing
+        setTimeout(() => {
+            const productsContainer = this.template.querySelector('.products-container');
+            if (productsContainer) {
+                productsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }, 300);
+    }
+
+    /* Any filter change starts again from the first page */
+    applyFilters(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.resetPaging();
+        this.loadProducts();
+    }
+
+    toggleFacetValue(event) {
+        const { field, value } = event.currentTarget.dataset;
+        const selected = this.filters.facets[field] || [];
+        const values = selected.includes(value)
+            ? selected.filter(v => v !== value)
+            : [...selected, value];
+        this.applyFilters({ facets: { ...this.filters.facets, [field]: values } });
+    }
+
+    /* Applied on commit (Enter or leaving the field) rather than on every keystroke */
+    handlePriceRangeCommit(event) {
+        const bound = event.target.dataset.bound;
+        const value = event.target.value;
+        const price = value === '' || value === null || value === undefined ? null : Number(value);
+        this.applyFilters({ [bound]: Number.isFinite(price) && price >= 0 ? price : null });
+    }
+
+    removeFilterChip(event) {
+        const { type, field, value } = event.currentTarget.dataset;
+        if (type === 'search') {
+            this.applyFilters({ searchTerm: '' });
+        } else if (type === 'family') {
+            this.applyFilters({ families: this.filters.families.filter(f => f !== value) });
+        } else if (type === 'price') {
+            this.applyFilters({ minPrice: null, maxPrice: null });
+        } else if (type === 'facet') {
+            this.applyFilters({
+                facets: { ...this.filters.facets, [field]: this.filters.facets[field].filter(v => v !== value) }
+            });
+        }
+    }
+
+    clearAllFilters() {
+        clearTimeout(this.productSearchDebounceTimer);
+        this.filters = emptyFilters();
+        this.resetPaging();
+        this.loadProducts();
+    }
+
+    get filterChips() {
+        const facetLabels = {};
+        this.facets.forEach(facet => {
+            facetLabels[facet.field] = facet.label;
+        });
+        return filterChips(this.filters, facetLabels, value => this.money(value));
+    }
+
+    get hasFilterChips() {
+        return this.filterChips.length > 0;
+    }
+
+    /* Facet checkboxes with live counts; selected values stay listed even when nothing matches now */
+    get facetGroups() {
+        return this.facets.map(facet => {
+            const selected = this.filters.facets[facet.field] || [];
+            const values = facet.values.map(v => ({
+                key: `${facet.field}-${v.value}`,
+                value: v.value,
+                label: `${v.value} (${v.count})`,
+                isSelected: selected.includes(v.value)
+            }));
+            selected
+                .filter(value => !facet.values.some(v => v.value === value))
+                .forEach(value => values.push({ key: `${facet.field}-${value}`, value, label: `${value} (0)`, isSelected: true }));
+            return { field: facet.field, label: facet.label, values };
+        }).filter(facet => facet.values.length > 0);
+    }
+
+    get minPricePlaceholder() {
+        return this.minAvailablePrice === null ? 'Min' : `Min ${this.money(this.minAvailablePrice)}`;
+    }
+
+    get maxPricePlaceholder() {
+        return this.maxAvailablePrice === null ? 'Max' : `Max ${this.money(this.maxAvailablePrice)}`;
+    }
+
+    get sortOptions() {
+        return [
+            { value: 'default', label: 'Default' },
+            { value: 'price-low', label: 'Price: Low to High' },
+            { value: 'price-high', label: 'Price: High to Low' },
+            { value: 'name-asc', label: 'Name: A to Z' },
+            { value: 'name-desc', label: 'Name: Z to A' }
+        ].map(option => ({ ...option, isSelected: option.value === this.sortOption }));
+    }
+
+    handleSort(event) {
+        this.sortOption = event.currentTarget.value;
+        this.resetPaging();
+        this.loadProducts();
+
+        // Auto-scroll to products section with smooth slow timing
+        setTimeout(() => {
+            const productsContainer = this.template.querySelector('.products-container');
+            if (productsContainer) {
+                productsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }, 300);
+    }
+
+    getCategoryIcon(categoryName) {
+        const iconMap = {
+            'Finished Good': '📦',
+            'Trading Good': '🏪',
+            'Raw Material': '⚙️',
+            'Warranty': '🛡️',
+            'Semi Finished Good': '🔧',
+            'Consumable': '💧',
+            'Packaging': '📫',
+            'Service': '🔧',
+            'All Products': '🛍️'
+        };
+        return iconMap[categoryName] || '📦';
+    }
+
+    get productsPerPage() {
+        const size = Number(this.pageSize);
+        return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+    }
+
+    get configuredFamilies() {
+        return (this.visibleFamilies || '')
+            .split(',')
+            .map(family => family.trim())
+            .filter(family => family);
+    }
+
+    /*
+     * Configured families keep their App Builder order; otherwise every family the server reports.
+     * Families without products in this pricebook are left out; counts follow the other active filters.
+     */
+    get categories() {
+        const configured = this.configuredFamilies;
+        const families = configured.length > 0
+            ? configured.filter(family => this.availableFamilies.includes(family))
+            : [...this.availableFamilies].sort();
+        const counts = new Map(this.familyCounts.map(f => [f.value, f.count]));
+        const selected = this.filters.families;
+
+        return [
+            { name: 'All Products', icon: this.getCategoryIcon('All Products'), isActive: selected.length === 0 },
+            ...families.map(family => ({
+                name: family,
+                icon: this.getCategoryIcon(family),
+                count: counts.get(family) || 0,
+                hasCount: true,
+                isActive: selected.includes(family)
+            }))
+        ];
+    }
+
+    get totalPages() {
+        return Math.ceil(this.totalProductCount / this.productsPerPage) || 1;
+    }
+
+    get pageCursor() {
+        return this.pageCursors[this.currentPage - 1] || null;
+    }
+
+    hasPageCursor(pageNumber) {
+        return pageNumber >= 1 && this.pageCursors[pageNumber - 1] !== undefined;
+    }
+
+    resetPaging() {
+        this.currentPage = 1;
+        this.pageCursors = [null];
+    }
+
+    get paginatedProducts() {
+        return this.products.map(p => {
+            const badge = STOCK_BADGES[p.stockStatus];
+            const isOutOfStock = p.stockStatus === 'OUT_OF_STOCK';
+            return {
+                ...p,
+                stockLabel: badge ? badge.label : null,
+                stockClass: badge ? badge.className : null,
+                priceLabel: this.money(p.unitPrice),
+                disableAdd: this.isRecordLocked || (isOutOfStock && !this.allowBackorders),
+                compareClass: this.isCompared(p.productId) ? 'btn-compare active' : 'btn-compare',
+                compareLabel: this.isCompared(p.productId) ? '✓ Comparing' : 'Compare'
+            };
+        });
+    }
+
+    /* Products in this pricebook that match the search but are only priced in other currencies */
+    otherCurrencyProducts = [];
+
+    get hasOtherCurrencyProducts() {
+        return this.otherCurrencyProducts.length > 0;
+    }
+
+    get hasProductsOnPage() {
+        return this.paginatedProducts && this.paginatedProducts.length > 0;
+    }
+
+    get canGoPrevious() {
+        return this.hasPageCursor(this.currentPage - 1);
+    }
+
+    get canGoNext() {
+        return this.hasPageCursor(this.currentPage + 1);
+    }
+
+    get disablePreviousButton() {
         return !this.canGoPrevious;
     }
 
@@ -371,59 +1779,98 @@ export default class ProductCartService extends NavigationMixin(LightningElement
     handlePreviousPage() {
         if (this.canGoPrevious) {
             this.currentPage -= 1;
+            this.loadProducts();
         }
     }
 
     handleNextPage() {
         if (this.canGoNext) {
             this.currentPage += 1;
+            this.loadProducts();
         }
     }
 
     handlePageClick(event) {
         const pageNum = parseInt(event.currentTarget.dataset.page, 10);
-        this.currentPage = pageNum;
+        if (pageNum !== this.currentPage) {
+            this.currentPage = pageNum;
+            this.loadProducts();
+        }
     }
 
+    /* A window of the pages reached so far, plus the next one */
     get pageNumbers() {
-        const pages = [];
-        for (let i = 1; i <= this.totalPages; i++) {
+        const reachable = [];
+        for (let i = 1; i <= this.pageCursors.length; i++) {
+            if (this.hasPageCursor(i)) {
+                reachable.push(i);
+            }
+        }
+        const first = Math.max(0, Math.min(
+            reachable.indexOf(this.currentPage) - Math.floor(PAGE_WINDOW / 2),
+            reachable.length - PAGE_WINDOW
+        ));
+        return reachable.slice(first, first + PAGE_WINDOW).map(i => {
             const isActive = i === this.currentPage;
-            pages.push({
+            return {
                 number: i,
                 isActive: isActive,
                 btnClass: isActive ? 'page-btn active' : 'page-btn'
-            });
-        }
-        return pages;
+            };
+        });
     }
 
-    get topPricebooks() {
-        let filtered = this.allPricebooksData;
-        if (this.pricebookSearchTerm) {
-            filtered = filtered.filter(p =>
-                p.Name.toLowerCase().includes(this.pricebookSearchTerm)
-            );
+    /* Card text for one ProductCartService.PricebookOptionDTO */
+    toPricebookCard(pb) {
+        const isEmpty = pb.entryCount === 0;
+        const families = [...(pb.families || [])]
+            .sort((a, b) => b.entryCount - a.entryCount)
+            .slice(0, 3)
+            .map(f => `${f.family} (${f.entryCount})`);
+        let usageLabel = null;
+        if (pb.accountUseCount > 0) {
+            const lastUsed = pb.lastUsedDate ? `, last on ${new Date(pb.lastUsedDate).toLocaleDateString()}` : '';
+            usageLabel = `Used on ${pb.accountUseCount} recent order(s)${lastUsed}`;
         }
-        return filtered.slice(0, 4).map(p => ({
-            ...p,
-            isSelected: p.Id === this.selectedPricebookId
-        }));
+        return {
+            ...pb,
+            key: pb.pricebookId,
+            isEmpty,
+            coverageLabel: isEmpty
+                ? `No products in ${pb.currencyIsoCode}`
+                : `${pb.entryCount} products in ${pb.currencyIsoCode}`,
+            coverageClass: isEmpty ? 'pb-coverage pb-coverage-empty' : 'pb-coverage',
+            familySummary: families.join(' · '),
+            usageLabel,
+            updatedLabel: pb.lastModifiedDate ? `Updated ${new Date(pb.lastModifiedDate).toLocaleDateString()}` : null
+        };
     }
 
-    get filteredAllPricebooks() {
+    /* Search and the hide-empty setting apply to both the featured cards and the full list */
+    get visiblePricebooks() {
         let filtered = this.allPricebooksData;
+        if (this.hideEmptyPricebooks) {
+            filtered = filtered.filter(p => !p.isEmpty);
+        }
         if (this.pricebookSearchTerm) {
             filtered = filtered.filter(p =>
-                p.Name.toLowerCase().includes(this.pricebookSearchTerm)
+                p.name.toLowerCase().includes(this.pricebookSearchTerm)
             );
         }
         return filtered.map(p => ({
             ...p,
-            isSelected: p.Id === this.selectedPricebookId
+            isSelected: p.pricebookId === this.activePricebookId
         }));
     }
 
+    get topPricebooks() {
+        return this.visiblePricebooks.slice(0, 4);
+    }
+
+    get filteredAllPricebooks() {
+        return this.visiblePricebooks;
+    }
+
     get hasPricebooks() {
         return this.allPricebooksData && this.allPricebooksData.length > 0;
     }
@@ -436,8 +1883,13 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         if (!this.selectedPricebookId || !this.allPricebooksData) {
             return '';
         }
-        const pb = this.allPricebooksData.find(p => p.Id === this.selectedPricebookId);
-        return pb ? pb.Name : '';
+        const pb = this.allPricebooksData.find(p => p.pricebookId === this.selectedPricebookId);
+        return pb ? pb.name : '';
+    }
+
+    get activePricebookName() {
+        const pb = (this.allPricebooksData || []).find(p => p.pricebookId === this.activePricebookId);
+        return pb ? pb.name : '';
     }
 
     /* LOAD PRODUCTS */
@@ -453,19 +1905,50 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         this.isLoading = true;
         console.log('Loading products for pricebook:', this.selectedPricebookId, 'currency:', this.parentCurrency);
 
-        getProductsByPricebook({
+        this.syncUrlState();
+
+        // Ignore responses that arrive after a newer search/filter/page request
+        const requestId = ++this.productRequestId;
+
+        getProductPage({
             pricebookId: this.selectedPricebookId,
-            currencyIso: this.parentCurrency
+            currencyIso: this.parentCurrency,
+            searchTerm: this.filters.searchTerm,
+            families: this.filters.families,
+            minPrice: this.filters.minPrice,
+            maxPrice: this.filters.maxPrice,
+            facetFilters: this.filters.facets,
+            sortOption: this.sortOption,
+            pageCursor: this.pageCursor,
+            pageSize: this.productsPerPage
         })
-        .then(data => {
+        .then(page => {
+            if (requestId !== this.productRequestId) {
+                return;
+            }
+            const data = page && Array.isArray(page.products) ? page.products : [];
             console.log('Products fetched successfully:', data);
             // Successfully loaded products (even if empty)
-            this.products = data && Array.isArray(data) ? data.map(p => ({ ...p, qty: null })) : [];
+            this.products = data.map(p => ({ ...p, qty: null }));
             this.filteredProducts = this.products;
-            console.log('Products state updated:', this.products.length);
+            this.totalProductCount = page ? page.totalCount : 0;
+            this.rememberPageCursors(page);
+            this.availableFamilies = page && page.families ? page.families : [];
+            this.familyCounts = page && page.familyCounts ? page.familyCounts : [];
+            this.facets = page && page.facets ? page.facets : [];
+            this.minAvailablePrice = page && page.minAvailablePrice !== undefined ? page.minAvailablePrice : null;
+            this.maxAvailablePrice = page && page.maxAvailablePrice !== undefined ? page.maxAvailablePrice : null;
+            this.otherCurrencyProducts = (page && page.otherCurrencyProducts ? page.otherCurrencyProducts : [])
+                .map(o => ({
+                    ...o,
+                    referenceLabel: o.referencePrice === null || o.referencePrice === undefined
+                        ? null
+                        : `≈ ${this.money(o.referencePrice)} (converted from ${o.referenceCurrency})`
+                }));
+            console.log('Products state updated:', this.products.length, 'of', this.totalProductCount);
             
             // Auto-scroll based on whether products are found
-            if (!data || data.length === 0) {
+            if (data.length === 0) {
                 // No products found - scroll to "Change Price Book" button
                 setTimeout(() => {
                     const productsHeader = this.template.querySelector('.products-header');
@@ -493,14 +1976,22 @@ export default class ProductCartService extends NavigationMixin(LightningElement
             }
         })
         .finally(()=>{
-            this.isLoading = false;
+            if (requestId === this.productRequestId) {
+                this.isLoading = false;
+            }
         });
     }
 
-    /* ----- EVERYTHING BELOW REMAINS SAME AS YOUR EXISTING CODE ----- */
-
-    get isOrderActivated() {
-        return this.orderStatus === 'Activated';
+    /* Cursors of the neighbouring pages; pages past the last one are forgotten */
+    rememberPageCursors(page) {
+        const pageCursors = this.pageCursors.slice(0, this.currentPage);
+        if (page && page.previousCursor) {
+            pageCursors[this.currentPage - 2] = page.previousCursor;
+        }
+        if (page && page.nextCursor) {
+            pageCursors[this.currentPage] = page.nextCursor;
+        }
+        this.pageCursors = pageCursors;
     }
 
     handleQtyChange(event) {
@@ -508,29 +1999,103 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         const qty = Number(event.target.value);
 
         this.products = this.products.map(p =>
-            p.productId === id ? { ...p, qty } : p
+            p.productId === id ? { ...p, qty, qtyIssue: this.toQtyIssue(checkQuantity(p, qty)) } : p
         );
     }
 
+    /* Inline message plus "Use N" rounding options, or null when the qty is valid */
+    toQtyIssue(check) {
+        if (check.isValid) {
+            return null;
+        }
+        return {
+            message: check.message,
+            suggestions: check.suggestions.map(value => ({ key: `qty-${value}`, value }))
+        };
+    }
+
     /* PRODUCT DETAILS MODAL HANDLERS */
+    get hasSelectedProductTiers() {
+        return (this.selectedProduct.priceTiers || []).length > 0;
+    }
+
+    /* Entry price plus each volume tier, with the row for the chosen qty highlighted */
+    get selectedProductTiers() {
+        const product = this.selectedProduct;
+        const tiers = product.priceTiers || [];
+        const rows = [{ minQuantity: 1, unitPrice: product.unitPrice }, ...tiers];
+        const activeIndex = rows.reduce(
+            (active, row, index) => (this.selectedProductQty >= row.minQuantity ? index : active),
+            0
+        );
+        return rows.map((row, index) => ({
+            key: `tier-${row.minQuantity}`,
+            label: index < rows.length - 1 ? `${row.minQuantity}–${rows[index + 1].minQuantity - 1}` : `${row.minQuantity}+`,
+            priceLabel: this.money(row.unitPrice),
+            rowClass: index === activeIndex ? 'tier-row tier-row-active' : 'tier-row'
+        }));
+    }
+
+    /* KIT CONFIGURATION (DETAILS MODAL) */
+    kitOptions = [];
+
+    get hasKitOptions() {
+        return this.kitOptions.length > 0;
+    }
+
+    /* Kit price per unit: the bundle price plus each selected add-on; included components are free */
+    get kitUnitPrice() {
+        const price = this.kitOptions
+            .filter(k => k.isSelected && k.isOptional)
+            .reduce((sum, k) => sum + k.perKitQty * (k.unitPrice || 0), this.selectedProduct.unitPrice);
+        return this.money(Math.round(price * 100) / 100);
+    }
+
+    toggleKitOption(event) {
+        const id = event.target.dataset.id;
+        const isSelected = event.target.checked;
+        this.kitOptions = this.kitOptions.map(k => (k.productId === id ? { ...k, isSelected } : k));
+    }
+
+    updateKitOptionQty(event) {
+        const id = event.target.dataset.id;
+        const perKitQty = Number(event.target.value);
+        if (!Number.isFinite(perKitQty) || perKitQty <= 0) {
+            event.target.value = this.kitOptions.find(k => k.productId === id).perKitQty;
+            return;
+        }
+        this.kitOptions = this.kitOptions.map(k => (k.productId === id ? { ...k, perKitQty } : k));
+    }
+
     handleViewDetails(event) {
         const id = event.currentTarget.dataset.id;
         const product = this.products.find(p => p.productId === id);
 
         if (product) {
-            // Set up the product with additional fields for the modal
+            // MRP/discount come from the standard (list) price vs. the selected pricebook price
+            const hasSaving = product.listPrice > product.unitPrice;
             this.selectedProduct = {
                 ...product,
-                brand: product.Brand || product.name,
-                category: product.Category || 'General',
-                availableUnits: 10053,
-                description: 'Premium product designed for reliability and advanced functionality.',
-                mrp: null,
-                discount: null,
-                savingAmount: null,
-                maxPrice: null
+                brand: product.brand || product.name,
+                priceLabel: this.money(product.unitPrice),
+                mrp: hasSaving ? this.money(product.listPrice) : null,
+                discount: hasSaving
+                    ? Math.round(((product.listPrice - product.unitPrice) / product.listPrice) * 100)
+                    : null,
+                savingAmount: hasSaving ? this.money(product.listPrice - product.unitPrice) : null,
+                maxPrice: null,
+                specs: (product.specs || []).map(spec => ({ ...spec, key: spec.label }))
             };
-            this.selectedProductQty = 1;
+            this.selectedProductQty = minimumQuantity(product);
+            this.detailsQtyIssue = null;
+            this.kitOptions = (product.components || []).map(k => ({
+                ...k,
+                key: k.productId,
+                perKitQty: k.defaultQuantity,
+                isSelected: !k.isOptional,
+                isUnpriced: k.isOptional && (k.unitPrice === null || k.unitPrice === undefined),
+                priceLabel: this.money(k.unitPrice)
+            }));
             this.selectedImageIndex = 0;
             this.showDetailsModal = true;
             
@@ -545,6 +2110,8 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         this.showDetailsModal = false;
         this.selectedProduct = {};
         this.selectedProductQty = 1;
+        this.detailsQtyIssue = null;
+        this.kitOptions = [];
         this.selectedImageIndex = 0;
         this.stopImageScroll();
     }
@@ -559,246 +2126,931 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         }
     }
 
-    stopImageScroll() {
-        if (this.imageScrollInterval) {
-            clearInterval(this.imageScrollInterval);
-            this.imageScrollInterval = null;
+    stopImageScroll() {
+        if (this.imageScrollInterval) {
+            clearInterval(this.imageScrollInterval);
+            this.imageScrollInterval = null;
+        }
+    }
+
+    nextImage() {
+        if (this.selectedProduct.imageUrls && this.selectedProduct.imageUrls.length > 1) {
+            this.selectedImageIndex = (this.selectedImageIndex + 1) % this.selectedProduct.imageUrls.length;
+        }
+    }
+
+    handleImageGalleryMouseEnter() {
+        this.isImageGalleryHovered = true;
+        this.stopImageScroll();
+    }
+
+    handleImageGalleryMouseLeave() {
+        this.isImageGalleryHovered = false;
+        this.startImageScroll();
+    }
+
+    selectProductImage(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.selectedImageIndex = index;
+        
+        // Pause auto-scroll when user manually selects an image
+        this.isImageGalleryHovered = true;
+        this.stopImageScroll();
+        
+        // Resume auto-scroll after 3 seconds of inactivity
+        setTimeout(() => {
+            if (this.isImageGalleryHovered) {
+                this.isImageGalleryHovered = false;
+                this.startImageScroll();
+            }
+        }, 3000);
+    }
+
+    incrementQty() {
+        const qty = roundUpQuantity(this.selectedProduct, this.selectedProductQty + this.qtyStep);
+        if (qty <= this.maxSelectableQty) {
+            this.selectedProductQty = qty;
+            this.detailsQtyIssue = null;
+        }
+    }
+
+    decrementQty() {
+        const qty = roundUpQuantity(this.selectedProduct, this.selectedProductQty - this.qtyStep);
+        if (qty < this.selectedProductQty) {
+            this.selectedProductQty = qty;
+            this.detailsQtyIssue = null;
+        }
+    }
+
+    handleDetailsQtyChange(event) {
+        const qty = Number(event.target.value);
+        if (!this.isQtyInStock(this.selectedProduct, qty)) {
+            event.target.value = this.selectedProductQty;
+            return;
+        }
+        this.detailsQtyIssue = this.toQtyIssue(checkQuantity(this.selectedProduct, qty));
+        if (!this.detailsQtyIssue) {
+            this.selectedProductQty = qty;
+        }
+    }
+
+    applyDetailsQtySuggestion(event) {
+        const qty = Number(event.currentTarget.dataset.qty);
+        if (!this.isQtyInStock(this.selectedProduct, qty)) {
+            return;
+        }
+        this.selectedProductQty = qty;
+        this.detailsQtyIssue = null;
+    }
+
+    addDetailsModalToCart() {
+        const product = this.selectedProduct;
+        const qty = this.selectedProductQty;
+
+        if (!qty || qty <= 0) {
+            this.showToast('Invalid Quantity', 'Enter quantity greater than 0', 'error');
+            return;
+        }
+
+        const components = product.isBundle
+            ? this.kitComponents(product, this.kitOptions.filter(k => k.isOptional && k.isSelected))
+            : undefined;
+        if (!this.mergeIntoCart(product, qty, components).isAdded) {
+            return;
+        }
+
+        this.showToast('Success', `${product.name} added to cart`, 'success');
+        this.closeDetailsModal();
+    }
+
+    /* PRODUCT COMPARISON */
+    // Snapshots, so products stay compared while paging, searching or switching family
+    compareProducts = [];
+    showCompareModal = false;
+
+    get hasCompareProducts() {
+        return this.compareProducts.length > 0;
+    }
+
+    get compareCountLabel() {
+        return `${this.compareProducts.length} of ${MAX_COMPARE}`;
+    }
+
+    get disableOpenCompare() {
+        return this.compareProducts.length < 2;
+    }
+
+    isCompared(productId) {
+        return this.compareProducts.some(p => p.productId === productId);
+    }
+
+    toggleCompare(event) {
+        const id = event.currentTarget.dataset.id;
+        if (this.isCompared(id)) {
+            this.removeFromCompare(id);
+            return;
+        }
+        if (this.compareProducts.length >= MAX_COMPARE) {
+            this.showToast('Compare', `Up to ${MAX_COMPARE} products can be compared at once`, 'warning');
+            return;
+        }
+        const product = this.products.find(p => p.productId === id);
+        if (product) {
+            this.compareProducts = [...this.compareProducts, {
+                ...product,
+                compareQty: minimumQuantity(product),
+                compareQtyIssue: null
+            }];
+        }
+    }
+
+    removeFromCompare(productId) {
+        this.compareProducts = this.compareProducts.filter(p => p.productId !== productId);
+        if (this.compareProducts.length === 0) {
+            this.showCompareModal = false;
+        }
+    }
+
+    handleRemoveCompare(event) {
+        this.removeFromCompare(event.currentTarget.dataset.id);
+    }
+
+    clearCompare() {
+        this.compareProducts = [];
+        this.showCompareModal = false;
+    }
+
+    openCompare() {
+        this.showCompareModal = true;
+    }
+
+    closeCompare() {
+        this.showCompareModal = false;
+    }
+
+    get compareColumns() {
+        return this.compareProducts.map(p => ({
+            ...p,
+            priceLabel: this.money(p.unitPrice),
+            disableAdd: this.isRecordLocked || !!p.compareQtyIssue || this.maxAddableQty(p) <= 0
+        }));
+    }
+
+    /*
+     * One row per attribute with a cell per compared product, in column order. Spec rows cover every
+     * spec label any compared product has; rows whose values differ are highlighted.
+     */
+    get compareRows() {
+        const attributes = [
+            { key: 'code', label: 'Product Code', value: p => p.productCode },
+            { key: 'family', label: 'Family', value: p => p.ProductFamily },
+            { key: 'price', label: 'Price', value: p => this.money(p.unitPrice) },
+            { key: 'uom', label: 'Unit of Measure', value: p => p.quantityUnitOfMeasure }
+        ];
+        const specLabels = [...new Set(this.compareProducts.flatMap(p => (p.specs || []).map(spec => spec.label)))];
+        specLabels.forEach(label => attributes.push({
+            key: `spec-${label}`,
+            label,
+            value: p => ((p.specs || []).find(spec => spec.label === label) || {}).value
+        }));
+
+        return attributes.map(attribute => {
+            const cells = this.compareProducts.map(p => {
+                const value = attribute.value(p);
+                return { key: p.productId, value: value === null || value === undefined || value === '' ? '—' : value };
+            });
+            const differs = new Set(cells.map(c => String(c.value))).size > 1;
+            return {
+                key: attribute.key,
+                label: attribute.label,
+                cells,
+                rowClass: differs ? 'compare-row compare-row-differs' : 'compare-row'
+            };
+        });
+    }
+
+    /* Same quantity checks as the details modal: stock left to add, then minimum and pack size */
+    handleCompareQtyChange(event) {
+        const id = event.target.dataset.id;
+        const product = this.compareProducts.find(p => p.productId === id);
+        const qty = Number(event.target.value);
+        if (!this.isQtyInStock(product, qty)) {
+            event.target.value = product.compareQty;
+            return;
         }
+        this.updateCompareProduct(id, { compareQty: qty, compareQtyIssue: this.toQtyIssue(checkQuantity(product, qty)) });
     }
 
-    nextImage() {
-        if (this.selectedProduct.imageUrls && this.selectedProduct.imageUrls.length > 1) {
-            this.selectedImageIndex = (this.selectedImageIndex + 1) % this.selectedProduct.imageUrls.length;
+    applyCompareQtySuggestion(event) {
+        const id = event.currentTarget.dataset.id;
+        const qty = Number(event.currentTarget.dataset.qty);
+        if (this.isQtyInStock(this.compareProducts.find(p => p.productId === id), qty)) {
+            this.updateCompareProduct(id, { compareQty: qty, compareQtyIssue: null });
         }
     }
 
-    handleImageGalleryMouseEnter() {
-        this.isImageGalleryHovered = true;
-        this.stopImageScroll();
+    updateCompareProduct(productId, changes) {
+        this.compareProducts = this.compareProducts.map(p => (p.productId === productId ? { ...p, ...changes } : p));
     }
 
-    handleImageGalleryMouseLeave() {
-        this.isImageGalleryHovered = false;
-        this.startImageScroll();
+    addComparedToCart(event) {
+        const product = this.compareProducts.find(p => p.productId === event.currentTarget.dataset.id);
+        if (!product || product.compareQtyIssue || !this.mergeIntoCart(product, product.compareQty).isAdded) {
+            return;
+        }
+        this.showToast('Success', `${product.name} added to cart`, 'success');
+        this.updateCompareProduct(product.productId, { compareQty: minimumQuantity(product) });
     }
 
-    selectProductImage(event) {
-        const index = parseInt(event.currentTarget.dataset.index, 10);
-        this.selectedImageIndex = index;
-        
-        // Pause auto-scroll when user manually selects an image
-        this.isImageGalleryHovered = true;
-        this.stopImageScroll();
-        
-        // Resume auto-scroll after 3 seconds of inactivity
-        setTimeout(() => {
-            if (this.isImageGalleryHovered) {
-                this.isImageGalleryHovered = false;
-                this.startImageScroll();
-            }
-        }, 3000);
-    }
+    handleQuickAddToCart(event) {
+        const id = event.currentTarget.dataset.id;
+        const product = this.products.find(p => p.productId === id);
 
-    incrementQty() {
-        if (this.selectedProductQty < (this.selectedProduct.availableUnits || 10053)) {
-            this.selectedProductQty += 1;
+        if (!product) {
+            this.showToast('Error', 'Product not found', 'error');
+            return;
         }
-    }
 
-    decrementQty() {
-        if (this.selectedProductQty > 1) {
-            this.selectedProductQty -= 1;
+        // Quick add uses the smallest valid qty (1 unless the product has a minimum or pack size)
+        if (!this.mergeIntoCart(product, minimumQuantity(product)).isAdded) {
+            return;
         }
-    }
 
-    handleDetailsQtyChange(event) {
-        const qty = Number(event.target.value);
-        if (qty > 0 && qty <= (this.selectedProduct.availableUnits || 10053)) {
-            this.selectedProductQty = qty;
-        }
+        this.showToast('Success', `${product.name} added to cart`, 'success');
     }
 
-    addDetailsModalToCart() {
-        const product = this.selectedProduct;
-        const qty = this.selectedProductQty;
+    addToCart(event) {
+        const id = event.target.dataset.id;
+        const product = this.products.find(p => p.productId === id);
 
-        if (!qty || qty <= 0) {
-            this.showToast('Invalid Quantity', 'Enter quantity greater than 0', 'error');
+        const check = checkQuantity(product, product.qty);
+        if (!check.isValid) {
+            this.showToast('Invalid Quantity', check.message, 'error');
             return;
         }
 
-        const index = this.cart.findIndex(c => c.productId === product.productId);
+        if (this.mergeIntoCart(product, product.qty).isAdded) {
+            this.resetProductQty(id);
+        }
+    }
+
+    /*
+     * Checks a cart quantity against stock on hand. Untracked products always pass;
+     * above stock passes only as a backorder when the org allows it.
+     */
+    checkStock(item, qty, currentQty = 0) {
+        const available = item.availableQuantity;
+        if (available === null || available === undefined || qty <= available) {
+            return { allowed: true, isBackorder: false };
+        }
+        // Lowering a line that is already above stock keeps it as a backorder rather than blocking
+        if (this.allowBackorders || qty <= currentQty) {
+            return { allowed: true, isBackorder: true };
+        }
+        this.showToast('Insufficient Stock', `Only ${available} of ${item.name} in stock`, 'error');
+        return { allowed: false, isBackorder: false, message: `Only ${available} in stock` };
+    }
+
+    /*
+     * A kit's components per kit: every included component plus the chosen add-ons
+     * ({ productId, perKitQty }). With no choices the kit comes with its included components only.
+     */
+    kitComponents(product, options = []) {
+        const chosen = new Map((options || []).filter(o => o.isOptional !== false).map(o => [o.productId, o.perKitQty]));
+        return (product.components || [])
+            .filter(k => !k.isOptional || chosen.has(k.productId))
+            .map(k => ({
+                key: k.productId,
+                productId: k.productId,
+                name: k.name,
+                productCode: k.productCode,
+                perKitQty: k.isOptional ? chosen.get(k.productId) : k.defaultQuantity,
+                isOptional: k.isOptional,
+                price: k.isOptional ? k.unitPrice || 0 : 0
+            }));
+    }
+
+    /* Kits with different add-ons are separate cart lines */
+    cartKey(product, components) {
+        if (!product.isBundle) {
+            return product.productId;
+        }
+        const addOns = components.filter(k => k.isOptional).map(k => `${k.productId}x${k.perKitQty}`);
+        return [product.productId, ...addOns].join(':');
+    }
+
+    /*
+     * Merges a product into the cart; existing record lines absorb the qty so no duplicate line is created.
+     * Kits merge only into a line with the same add-ons. Returns { isAdded, message }, where message says
+     * why the product was not added: the record is locked, or stock does not allow the new quantity.
+     */
+    mergeIntoCart(product, qty, components = this.kitComponents(product)) {
+        if (!this.assertEditable()) {
+            return { isAdded: false, message: this.lockReason };
+        }
+        // Quantities from templates, reorders and pasted lists are rounded up to the product's rules
+        const check = checkQuantity(product, qty);
+        let rounding = '';
+        if (!check.isValid) {
+            const rounded = roundUpQuantity(product, qty);
+            this.showToast('Quantity Rounded', `${product.name}: ${qty} rounded up to ${rounded}. ${check.message}`, 'warning');
+            rounding = ` (${check.message}, so ${qty} was rounded up to ${rounded})`;
+            qty = rounded;
+        }
+
+        const key = this.cartKey(product, components);
+        // A saved kit component keeps its own quantity, so the product gets a line of its own
+        const index = product.isBundle
+            ? this.cart.findIndex(c => c.key === key)
+            : this.cart.findIndex(c => c.productId === product.productId && !c.kitLineId);
+        const newQty = index !== -1 ? this.cart[index].qty + qty : qty;
+        const stock = this.checkStock(product, newQty);
+
+        if (!stock.allowed) {
+            return { isAdded: false, message: `${stock.message}${rounding}` };
+        }
 
         if (index !== -1) {
             const updated = [...this.cart];
             const item = updated[index];
-            updated[index] = {
+            updated[index] = this.priceLine({
                 ...item,
-                qty: item.qty + qty,
-                total: (item.qty + qty) * item.price
-            };
+                qty: newQty,
+                availableQuantity: product.availableQuantity,
+                isBackorder: stock.isBackorder
+            });
             this.cart = updated;
         } else {
-            this.cart = [...this.cart, {
+            this.cart = [...this.cart, this.priceLine({
+                key,
+                lineId: null,
                 productId: product.productId,
                 name: product.name,
+                productCode: product.productCode,
                 qty,
                 price: product.unitPrice,
-                total: qty * product.unitPrice
-            }];
+                entryPrice: product.unitPrice,
+                priceTiers: product.priceTiers,
+                components: product.isBundle ? components : undefined,
+                minQuantity: product.minQuantity,
+                quantityIncrement: product.quantityIncrement,
+                quantityUnitOfMeasure: product.quantityUnitOfMeasure,
+                discount: 0,
+                availableQuantity: product.availableQuantity,
+                isBackorder: stock.isBackorder,
+                isExisting: false
+            })];
         }
-
-        this.showToast('Success', `${product.name} added to cart`, 'success');
-        this.closeDetailsModal();
+        return { isAdded: true, message: null };
     }
 
-    handleQuickAddToCart(event) {
-        const id = event.currentTarget.dataset.id;
-        const product = this.products.find(p => p.productId === id);
+    updateCartQty(event) {
+        const key = event.target.dataset.key;
+        const qty = Number(event.target.value);
+        const item = this.cart.find(c => c.key === key);
+        if (!this.assertEditable()) {
+            event.target.value = item.qty;
+            return;
+        }
 
-        if (!product) {
-            this.showToast('Error', 'Product not found', 'error');
+        // An invalid qty stays in the input with an inline message until it is fixed or rounded
+        const qtyIssue = this.toQtyIssue(checkQuantity(item, qty));
+        if (qtyIssue) {
+            this.cart = this.cart.map(c => (c.key === key ? { ...c, qtyIssue } : c));
             return;
         }
+        if (!this.setCartQty(key, qty)) {
+            event.target.value = item.qty;
+        }
+    }
 
-        // Add with qty = 1 for quick add
-        const qty = 1;
-        const index = this.cart.findIndex(c => c.productId === id);
+    applyCartQtySuggestion(event) {
+        if (!this.assertEditable()) {
+            return;
+        }
+        const { key, qty } = event.currentTarget.dataset;
+        this.setCartQty(key, Number(qty));
+    }
 
-        if (index !== -1) {
-            const updated = [...this.cart];
-            const item = updated[index];
-            updated[index] = {
-                ...item,
-                qty: item.qty + qty,
-                total: (item.qty + qty) * item.price
-            };
-            this.cart = updated;
-        } else {
-            this.cart = [...this.cart, {
-                productId: id,
-                name: product.name,
-                qty: 1,
-                price: product.unitPrice,
-                total: 1 * product.unitPrice
-            }];
+    setCartQty(key, qty) {
+        const item = this.cart.find(c => c.key === key);
+        const stock = this.checkStock(item, qty, item.qty);
+
+        if (!stock.allowed) {
+            return false;
         }
 
-        this.showToast('Success', `${product.name} added to cart`, 'success');
+        this.cart = this.cart.map(c =>
+            (c.key === key
+                ? this.priceLine({ ...c, qty, qtyIssue: null, isBackorder: stock.isBackorder })
+                : c)
+        );
+        return true;
     }
 
-    addToCart(event) {
-        const id = event.target.dataset.id;
-        const product = this.products.find(p => p.productId === id);
+    get hasQtyIssues() {
+        return this.cart.some(c => c.qtyIssue);
+    }
 
-        if (!product.qty || product.qty <= 0) {
-            this.showToast('Invalid Quantity', 'Enter quantity greater than 0', 'error');
+    /* DISCOUNTS */
+    updateLineDiscount(event) {
+        if (!this.assertEditable()) {
             return;
         }
+        const key = event.target.dataset.key;
+        const discount = this.toDiscount(event.target.value);
+        this.cart = this.cart.map(c =>
+            (c.key === key ? this.priceLine({ ...c, discount }) : c)
+        );
+    }
 
-        const qty = product.qty;
-        const index = this.cart.findIndex(c => c.productId === id);
+    handleCartDiscountChange(event) {
+        if (!this.assertEditable()) {
+            return;
+        }
+        this.cartDiscount = this.toDiscount(event.target.value);
+        this.cart = this.cart.map(c => this.priceLine(c));
+    }
 
-        if (index !== -1) {
-            const updated = [...this.cart];
-            const item = updated[index];
-            updated[index] = { ...item, qty: item.qty + qty, total: (item.qty + qty) * item.price };
-            this.cart = updated;
-        } else {
-            this.cart = [...this.cart,
-                { productId: id, name: product.name, qty, price: product.unitPrice, total: qty * product.unitPrice }
-            ];
+    toDiscount(value) {
+        const discount = Number(value);
+        if (!Number.isFinite(discount) || discount <= 0) {
+            return 0;
         }
+        return Math.min(discount, 100);
+    }
 
-        this.resetProductQty(id);
+    /* Line and cart discounts compound: 10% on the line plus 5% on the cart is 14.5% off the line */
+    effectiveDiscount(lineDiscount) {
+        const remaining = (1 - (lineDiscount || 0) / 100) * (1 - this.cartDiscount / 100);
+        return Math.round((1 - remaining) * 10000) / 100;
     }
 
-    updateCartQty(event) {
-        const id = event.target.dataset.id;
-        const qty = Number(event.target.value);
+    /* Volume tiers are sorted by minimum qty: the deepest tier reached wins, else the entry price */
+    tierPrice(product, qty) {
+        return (product.priceTiers || []).reduce(
+            (price, tier) => (qty >= tier.minQuantity ? tier.unitPrice : price),
+            product.unitPrice
+        );
+    }
+
+    /* Recomputes a cart line's tier price, kit component quantities, net total and discount ceiling flag */
+    priceLine(line) {
+        const effective = this.effectiveDiscount(line.discount);
+        const max = this.maxDiscountPercent;
+        const isPriceOverridden = hasPriceOverride(line);
+        let price = line.priceTiers && line.priceTiers.length
+            ? this.tierPrice({ unitPrice: line.entryPrice, priceTiers: line.priceTiers }, line.qty)
+            : line.price;
+        if (line.isExisting) {
+            // Like the server: the stored price, which may have a discount folded in, stands until the qty changes
+            const hasEntryPrice = line.entryPrice !== null && line.entryPrice !== undefined;
+            if (line.recordPrice !== null && (line.qty === line.recordQty || !hasEntryPrice)) {
+                price = line.recordPrice;
+            } else if (hasEntryPrice) {
+                price = this.tierPrice({ unitPrice: line.entryPrice, priceTiers: line.priceTiers }, line.qty);
+            }
+        }
+        if (isPriceOverridden) {
+            price = line.overridePrice;
+        }
+        const components = (line.components || []).map(k => ({
+            ...k,
+            qty: k.perKitQty * line.qty,
+            priceLabel: k.isOptional ? this.money(k.price) : 'Included'
+        }));
+        const gross = components.reduce((sum, k) => sum + k.qty * k.price, line.qty * price);
+        const total = Math.round(gross * (100 - effective)) / 100;
+        return {
+            ...line,
+            price,
+            components,
+            hasComponents: components.length > 0,
+            gross,
+            effectiveDiscount: effective,
+            total,
+            priceLabel: this.money(price),
+            totalLabel: this.money(total),
+            isAboveMaxDiscount: max !== null && effective > max,
+            ...this.priceOverrideState(line, isPriceOverridden)
+        };
+    }
+
+    /* PRICE OVERRIDES */
+    /* Price input, list price hint and override problem for a cart line; overrides need an entry price to check against */
+    priceOverrideState(line, isPriceOverridden) {
+        const hasListPrice = line.entryPrice !== null && line.entryPrice !== undefined;
+        const bounds = priceBounds(line.entryPrice, this.cartSettings);
+        let boundsLabel = '';
+        if (bounds.floor !== null && bounds.ceiling !== null) {
+            boundsLabel = ` · allowed ${this.money(bounds.floor)} to ${this.money(bounds.ceiling)}`;
+        } else if (bounds.floor !== null) {
+            boundsLabel = ` · minimum ${this.money(bounds.floor)}`;
+        } else if (bounds.ceiling !== null) {
+            boundsLabel = ` · maximum ${this.money(bounds.ceiling)}`;
+        }
+        return {
+            isPriceOverridden,
+            canEditPrice: this.canOverridePrice && hasListPrice && !line.isKitLocked,
+            listPriceHint: hasListPrice ? `List price ${this.money(line.entryPrice)}${boundsLabel}` : '',
+            priceIssue: isPriceOverridden
+                ? checkPriceOverride(line.overridePrice, line.priceReason, bounds, value => this.money(value))
+                : null
+        };
+    }
+
+    /* Entering the list or volume price again, or clearing the field, removes the override */
+    updateLinePrice(event) {
+        if (!this.assertEditable()) {
+            return;
+        }
+        const key = event.target.dataset.key;
+        const value = event.target.value;
+        this.cart = this.cart.map(c => {
+            if (c.key !== key) {
+                return c;
+            }
+            const listPrice = this.tierPrice({ unitPrice: c.entryPrice, priceTiers: c.priceTiers }, c.qty);
+            const price = value === '' || value === null || value === undefined ? listPrice : Number(value);
+            return price === listPrice
+                ? this.priceLine({ ...c, price: c.entryPrice, overridePrice: null, priceReason: '' })
+                : this.priceLine({ ...c, overridePrice: price });
+        });
+    }
 
+    updateLinePriceReason(event) {
+        if (!this.assertEditable()) {
+            return;
+        }
+        const key = event.target.dataset.key;
+        const priceReason = event.target.value || '';
         this.cart = this.cart.map(c =>
-            c.productId === id ? { ...c, qty, total: qty * c.price } : c
+            (c.key === key ? this.priceLine({ ...c, priceReason }) : c)
         );
     }
 
+    get hasPriceIssues() {
+        return this.cart.some(c => c.priceIssue);
+    }
+
     removeItem(event) {
-        const id = event.currentTarget.dataset.id;
-        this.cart = this.cart.filter(c => c.productId !== id);
+        if (!this.assertEditable()) {
+            return;
+        }
+        const item = this.cart.find(c => c.key === event.currentTarget.dataset.key);
+        if (item && item.kitLineId) {
+            this.showToast('Part of a Kit', `${item.name}: ${item.kitNote}. Remove the kit instead.`, 'warning');
+            return;
+        }
+        this.removeCartLine(event.currentTarget.dataset.key);
         this.showToast('Success', 'Product removed from cart', 'success');
     }
 
+    /* Lines already on the record are deleted on save; a saved kit takes its included components with it */
+    removeCartLine(key) {
+        const item = this.cart.find(c => c.key === key);
+        const removed = this.cart.filter(c => c.key === key || (item && item.lineId && c.kitLineId === item.lineId));
+        this.removedLineIds = [...this.removedLineIds, ...removed.filter(c => c.lineId).map(c => c.lineId)];
+        this.cart = this.cart.filter(c => !removed.includes(c));
+    }
+
+    /* Discards unsaved changes; lines already on the record stay until removed explicitly */
     clearCart() {
-        this.cart = [];
+        this.clear();
         this.closeCart();
     }
 
+    get grossAmount() {
+        return this.cart.reduce((sum, c) => sum + c.gross, 0);
+    }
+
     get totalAmount() {
         return this.cart.reduce((sum, c) => sum + c.total, 0);
     }
 
+    get totalAmountLabel() {
+        return this.money(this.totalAmount);
+    }
+
+    get grossAmountLabel() {
+        return this.money(this.grossAmount);
+    }
+
+    get discountAmountLabel() {
+        return this.money(this.discountAmount);
+    }
+
+    /* Every price shown is in the record's currency, formatted for the user's locale */
+    money(value) {
+        return formatMoney(value, this.parentCurrency);
+    }
+
+    get discountAmount() {
+        return Math.round((this.grossAmount - this.totalAmount) * 100) / 100;
+    }
+
+    get hasDiscount() {
+        return this.discountAmount > 0;
+    }
+
+    get hasDiscountAboveMax() {
+        return this.cart.some(c => c.isAboveMaxDiscount);
+    }
+
+    get discountWarning() {
+        if (!this.hasDiscountAboveMax) {
+            return null;
+        }
+        return this.discountNeedsApproval
+            ? `Discounts above ${this.maxDiscountPercent}% will be sent for approval when saved`
+            : `Discounts above ${this.maxDiscountPercent}% are not allowed`;
+    }
+
+    get disableSaveProducts() {
+        return this.isRecordLocked || this.isSaving || this.hasQtyIssues || this.hasPriceIssues ||
+            (this.hasDiscountAboveMax && !this.discountNeedsApproval);
+    }
+
     get hasCartItems() {
         return this.cart && this.cart.length > 0;
     }
 
+    get hasActiveFilters() {
+        return hasFilters(this.filters);
+    }
+
     get showSearch() {
-        return this.products && this.products.length > 0;
+        return this.totalProductCount > 0 || this.hasActiveFilters;
+    }
+
+    get hasCartChanges() {
+        return this.cart.length > 0 || this.removedLineIds.length > 0;
     }
 
     openCart() {
-        if (!this.cart.length) return;
+        if (!this.hasCartChanges) return;
         this.cartMode = 'EDIT';
         this.showCartModal = true;
     }
 
     closeCart() {
+        if (this.isSummaryMode) {
+            this.closeSummary();
+            return;
+        }
+        this.previewResult = null;
         this.showCartModal = false;
         this.cartMode = 'EDIT';
         this.resetAllProductQty();
     }
 
+    /* Keeps the summary open once the user starts exporting from it */
+    cancelSummaryAutoClose() {
+        clearInterval(this.summaryInterval);
+        clearTimeout(this.summaryTimeout);
+        this.summaryInterval = null;
+        this.summaryTimeout = null;
+    }
+
+    get isSummaryAutoClosing() {
+        return this.isSummaryMode && !!this.summaryTimeout;
+    }
+
+    get showSummaryFooter() {
+        return this.isSummaryMode && !this.isSummaryAutoClosing;
+    }
+
     closeSummary() {
-        this.cart = [];
+        this.cancelSummaryAutoClose();
+        this.showQuoteSheet = false;
+        this.resetCartToRecord();
+        this.cart = [...this.cart, ...this.unsavedLines];
+        this.unsavedLines = [];
+        this.saveResult = null;
         this.showCartModal = false;
         this.cartMode = 'EDIT';
         this.resetAllProductQty();
-        this.navigateToRelatedTab();
+        this.dispatchEvent(new CustomEvent('cartsaved'));
+        this.navigateAfterSave();
     }
 
     get isEditMode() { return this.cartMode === 'EDIT'; }
+    get isPreviewMode() { return this.cartMode === 'PREVIEW'; }
     get isSummaryMode() { return this.cartMode === 'SUMMARY'; }
 
-    saveAll() {
+    buildSaveRequest() {
+        return {
+            parentId: this.recordId,
+            lines: this.cart.map(c => ({
+                Id: c.lineId,
+                Product2Id: c.productId,
+                Quantity: c.qty,
+                UnitPrice: c.price,
+                Discount: c.effectiveDiscount,
+                // The server only accepts a price other than the list or volume price when flagged and explained
+                PriceOverride: c.isPriceOverridden,
+                PriceReason: c.isPriceOverridden ? c.priceReason : undefined,
+                // Included components are expanded on the server; only the chosen add-ons are sent
+                Components: c.hasComponents
+                    ? c.components.filter(k => k.isOptional).map(k => ({ Product2Id: k.productId, Quantity: k.perKitQty }))
+                    : undefined
+            })),
+            removedLineIds: this.removedLineIds
+        };
+    }
 
-        const lines = this.cart.map(c => ({
-            Product2Id: c.productId,
-            Quantity: c.qty,
-            UnitPrice: c.price
-        }));
+    /* PRE-SAVE PREVIEW */
+    previewSave() {
+        if (!this.assertEditable()) {
+            return;
+        }
+        this.isSaving = true;
+
+        previewAddProducts(this.buildSaveRequest())
+        .then(result => {
+            this.previewResult = result;
+            this.cartMode = 'PREVIEW';
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+        })
+        .finally(() => {
+            this.isSaving = false;
+        });
+    }
+
+    backToEdit() {
+        this.previewResult = null;
+        this.cartMode = 'EDIT';
+    }
+
+    get previewGroups() {
+        if (!this.previewResult) {
+            return [];
+        }
+        return PREVIEW_GROUPS
+            .map(group => ({
+                ...group,
+                title: group.key === 'fallback' && this.cartSettings.fallbackPricebookName
+                    ? `Added from ${this.cartSettings.fallbackPricebookName} (fallback)`
+                    : group.title,
+                lines: this.previewResult.lines
+                    .filter(l => l.status === group.status &&
+                        (!group.source || l.pricebookSource === group.source))
+                    .map((l, index) => ({ ...l, key: `${group.key}-${index}` }))
+            }))
+            .filter(group => group.lines.length > 0);
+    }
+
+    get hasPreviewChanges() {
+        const r = this.previewResult;
+        return !!r && (r.insertedCount + r.updatedCount + r.deletedCount) > 0;
+    }
+
+    get disableConfirmSave() {
+        return this.isRecordLocked || this.isSaving || !this.hasPreviewChanges;
+    }
+
+    saveAll() {
+        if (!this.assertEditable()) {
+            return;
+        }
+        const unsaved = this.cart.filter(c => !c.lineId);
+        this.isSaving = true;
+
+        addProducts(this.buildSaveRequest())
+        .then(result => {
+            this.saveResult = result;
+            this.previewResult = null;
+
+            // Keep lines that did not make it so the user can correct and retry
+            const notSaved = new Set(
+                result.lines
+                    .filter(l => !l.lineId && (l.status === 'SKIPPED' || l.status === 'FAILED'))
+                    .map(l => l.productId)
+            );
+            const retryLines = unsaved.filter(c => notSaved.has(c.productId));
+            this.unsavedLines = retryLines;
 
-        addProducts({ parentId: this.recordId, lines })
-        .then(() => {
             this.cartMode = 'SUMMARY';
             this.showCartModal = true;
             this.resetAllProductQty();
+            this.clearStoredDraft();
+            // The summary may already be closed (and unsavedLines handed over) when the reload lands
+            this.loadExistingLines()
+            .then(() => {
+                this.cart = [...this.cart, ...retryLines];
+            });
+            this.dispatchEvent(new RefreshEvent());
+
+            if (this.hasSaveProblems || this.approvalNotice) {
+                return;
+            }
 
             this.countdown = 3;
             this.progressWidth = 100;
 
-            const interval = setInterval(() => {
+            this.summaryInterval = setInterval(() => {
                 this.countdown -= 1;
                 this.progressWidth = (this.countdown / 3) * 100;
-                if (this.countdown === 0) clearInterval(interval);
+                if (this.countdown === 0) clearInterval(this.summaryInterval);
             }, 1000);
 
-            this.dispatchEvent(new RefreshEvent());
-
-            setTimeout(() => {
+            this.summaryTimeout = setTimeout(() => {
                 this.closeSummary();
             }, 3000);
+        })
+        .catch(error => {
+            this.showToast('Error', this.getErrorMessage(error), 'error');
+            this.backToEdit();
+        })
+        .finally(() => {
+            this.isSaving = false;
         });
     }
 
+    get hasSaveProblems() {
+        return !!this.saveResult &&
+            (this.saveResult.skippedCount + this.saveResult.failedCount) > 0;
+    }
+
+    get saveProblemLines() {
+        if (!this.saveResult) {
+            return [];
+        }
+        return this.saveResult.lines
+            .filter(l => l.status === 'SKIPPED' || l.status === 'FAILED')
+            .map((l, index) => ({
+                ...l,
+                key: `problem-${index}`,
+                statusLabel: l.status === 'FAILED' ? 'Failed' : 'Skipped'
+            }));
+    }
+
+    get approvalNotice() {
+        const r = this.saveResult;
+        if (!r || !r.approvalRequired) {
+            return null;
+        }
+        return r.approvalSubmitted
+            ? 'Discounts above the maximum were submitted for approval'
+            : `Discounts above the maximum were not saved: ${r.approvalMessage || 'no approval process accepted the record'}`;
+    }
+
+    get summaryTitle() {
+        return this.hasSaveProblems
+            ? 'Some products could not be saved'
+            : 'Products saved successfully';
+    }
+
+    /* EXPORT: CSV + PRINTABLE QUOTE SHEET */
+    showQuoteSheet = false;
+
+    get exportLines() {
+        return this.cart.map(c => ({
+            key: c.key,
+            productCode: c.productCode || '',
+            name: c.name,
+            qty: c.qty,
+            price: c.price,
+            total: c.total,
+            priceLabel: c.priceLabel,
+            totalLabel: c.totalLabel,
+            currency: this.parentCurrency
+        }));
+    }
+
+    get quoteSheetDate() {
+        return new Date().toLocaleDateString();
+    }
+
+    downloadCartCsv() {
+        this.cancelSummaryAutoClose();
+        const csv = toCsv(
+            ['Product Code', 'Product Name', 'Quantity', 'Unit Price', 'Total', 'Currency'],
+            this.exportLines.map(l => [l.productCode, l.name, l.qty, l.price, l.total, l.currency])
+        );
+        const fileName = `${this.parentRecordName || 'cart'}-products.csv`.replace(/[\\/:*?"<>|]/g, '_');
+
+        const link = document.createElement('a');
+        link.href = `data:text/csv;charset=utf-8,${encodeURIComponent(csv)}`;
+        link.download = fileName;
+        link.click();
+    }
+
+    openQuoteSheet() {
+        this.cancelSummaryAutoClose();
+        this.showQuoteSheet = true;
+    }
+
+    closeQuoteSheet() {
+        this.showQuoteSheet = false;
+    }
+
+    printQuoteSheet() {
+        window.print();
+    }
+
     resetProductQty(productId) {
         this.products = this.products.map(p =>
             p.productId === productId ? { ...p, qty: null } : p
@@ -817,6 +3069,13 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         return `width: ${this.progressWidth}%;`;
     }
 
+    getErrorMessage(error) {
+        if (error && error.body) {
+            return error.body.message || error.body.faultstring || 'Unexpected error';
+        }
+        return (error && error.message) || 'Unexpected error';
+    }
+
     showToast(title, message, variant) {
         this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
     }
@@ -825,6 +3084,18 @@ export default class ProductCartService extends NavigationMixin(LightningElement
         event.target.src = '/img/icon/t4v35/standard/product_120.png';
     }
 
+    navigateAfterSave() {
+        if (this.postSaveNavigation === NAVIGATE_RELATED) {
+            this.navigateToRelatedTab();
+        } else if (this.postSaveNavigation === NAVIGATE_DETAILS) {
+            this[NavigationMixin.Navigate]({
+                type: 'standard__recordPage',
+                attributes: { recordId: this.recordId, actionName: 'view' },
+                state: { tab: 'detail' }
+            });
+        }
+    }
+
     navigateToRelatedTab() {
         this[NavigationMixin.Navigate]({
             type: 'standard__recordPage',
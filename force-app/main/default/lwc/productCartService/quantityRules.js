@@ -0,0 +1,49 @@
+/* Minimum order quantity and pack multiple rules shared by every cart quantity input */
+
+// Tolerates float noise on decimal pack sizes such as 0.25
+const EPSILON = 1e-9;
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+const unitLabel = rule => (rule.quantityUnitOfMeasure ? ` ${rule.quantityUnitOfMeasure}` : '');
+
+/* Smallest quantity that meets both the minimum and the pack multiple */
+export function minimumQuantity(rule) {
+    const increment = rule.quantityIncrement;
+    const floor = rule.minQuantity > 0 ? rule.minQuantity : increment || 1;
+    return increment ? round(Math.ceil(floor / increment - EPSILON) * increment) : floor;
+}
+
+/* Nearest valid quantity at or above qty */
+export function roundUpQuantity(rule, qty) {
+    const increment = rule.quantityIncrement;
+    const up = increment ? round(Math.ceil(qty / increment - EPSILON) * increment) : qty;
+    return Math.max(up, minimumQuantity(rule));
+}
+
+/*
+ * Checks qty against the product's rules. Invalid quantities come with the valid
+ * quantities either side of it (as rounding suggestions) and a message naming the rule.
+ */
+export function checkQuantity(rule, qty) {
+    if (!Number.isFinite(qty) || qty <= 0) {
+        return { isValid: false, message: 'Enter a quantity greater than 0', suggestions: [minimumQuantity(rule)] };
+    }
+
+    const problems = [];
+    if (rule.minQuantity > 0 && qty < rule.minQuantity) {
+        problems.push(`Minimum order is ${rule.minQuantity}${unitLabel(rule)}`);
+    }
+    const increment = rule.quantityIncrement;
+    if (increment && Math.abs(qty / increment - Math.round(qty / increment)) > EPSILON) {
+        problems.push(`Order in packs of ${increment}${unitLabel(rule)}`);
+    }
+    if (problems.length === 0) {
+        return { isValid: true, message: null, suggestions: [] };
+    }
+
+    const down = increment ? round(Math.floor(qty / increment + EPSILON) * increment) : qty;
+    const suggestions = [down, roundUpQuantity(rule, qty)]
+        .filter((value, index, all) => value >= minimumQuantity(rule) && all.indexOf(value) === index);
+    return { isValid: false, message: problems.join('. '), suggestions };
+}
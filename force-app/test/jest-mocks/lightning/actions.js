@@ -0,0 +1,8 @@
+// sfdx-lwc-jest ships no stub for lightning/actions
+export const CLOSE_ACTION_EVENT_NAME = 'lightning__actionsclosescreen';
+
+export class CloseActionScreenEvent extends CustomEvent {
+    constructor() {
+        super(CLOSE_ACTION_EVENT_NAME);
+    }
+}